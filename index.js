@@ -1,674 +1,4106 @@
-import { input, password, select, confirm, checkbox, search } from "@inquirer/prompts";
-import { Octokit } from "@octokit/rest";
-import OpenAI from "openai";
+import { input, password, select, confirm, checkbox, search, editor } from "@inquirer/prompts";
 import dotenv from "dotenv";
 import chalk from "chalk";
+import { structuredPatch } from "diff";
+import { parseArgs } from "node:util";
+import { readFile, writeFile } from "node:fs/promises";
+import { extname, isAbsolute } from "node:path";
+import { FIELD_LABELS, DEFAULT_FIELDS, FILE_SET_FIELDS, normalizeField } from "./lib/fields.js";
+import {
+  DEFAULT_CONFIG,
+  COMMIT_MODES,
+  loadConfig,
+  loadRepositoryConfig,
+  loadLocalRepositoryConfig,
+  mergeConfig,
+  checkRepositoryConfig,
+  renderTemplate,
+  isRepositoryIncluded,
+} from "./lib/config.js";
+import { createLlm, DEFAULT_PROVIDER, PROVIDERS, MAX_CANDIDATES, DEFAULT_FIELD_SETTINGS } from "./lib/providers.js";
+import { buildRepositoryContext, buildLocalContext, getTreeSha, formatSources, summarizeSources, estimateTokens } from "./lib/context.js";
+import { isBranchProtected, openOrUpdatePullRequest, commitToBranch } from "./lib/pull-requests.js";
+import { README_MODES, findReadmeTargets, mergeReadmeSections, markReadmeSections } from "./lib/readme.js";
+import { detectHomepage, checkHomepage, urlResolves } from "./lib/homepage.js";
+import {
+  REPO_SORTS,
+  DEFAULT_FILTERS,
+  INCLUSION_FILTERS,
+  VISIBILITY_FILTERS,
+  MISSING_FILTERS,
+  detectMissingMetadata,
+  filterRepositories,
+  sortRepositories,
+  describeFilters,
+} from "./lib/repositories.js";
+import { TOPIC_STRATEGIES, MAX_TOPIC_LENGTH, MAX_TOPICS, parseTopics, mergeTopics, validateTopics } from "./lib/topics.js";
+import { readWorkingCopy, describeLocalRepository, readLocalReadme, writeLocalMetadata } from "./lib/local.js";
+import { createCache, defaultCacheDir } from "./lib/cache.js";
+import { createGitHubClient } from "./lib/github.js";
+import { AUDIT_CHECKS, AUDIT_SORTS, AUDIT_REPORT_FORMATS, auditRepository, sortAuditResults, formatAuditReport } from "./lib/audit.js";
+import {
+  COMMUNITY_FILES,
+  COMMON_LICENSES,
+  LICENSE_FILE,
+  listCommunityPaths,
+  detectMissingCommunityFiles,
+  licenseKeyFromSpdx,
+  fillLicense,
+} from "./lib/community.js";
+import { SYNC_DIRECTIONS, MANIFEST_PATHS, readManifestMetadata, updateManifest } from "./lib/manifests.js";
+import { findNarrativeSlots, renderReadmeTemplate, readTemplateData } from "./lib/readme-template.js";
+import {
+  validateLanguage,
+  languageNames,
+  translationPath,
+  protectMarkdown,
+  restoreMarkdown,
+  languageSwitcher,
+  setLanguageSwitcher,
+  removeLanguageSwitcher,
+} from "./lib/translations.js";
+import { GENERATION_MODES, COMBINED_FIELDS, combinedSchema, checkCombinedAnswer } from "./lib/structured.js";
+import { createJournal, defaultJournalDir, activeEntries, blobSha } from "./lib/journal.js";
+import { createUsageTracker, formatTokens, formatCost, BudgetExceededError } from "./lib/usage.js";
 
-// Load environment variables from .env file
-dotenv.config();
+// Load environment variables from .env file (quietly, so --json output stays clean)
+dotenv.config({ quiet: true });
 
-async function main() {
-  console.log("\n" + chalk.bold.cyan("╔════════════════════════════════════════════════╗"));
-  console.log(chalk.bold.cyan("║") + chalk.bold.white("   GitHub Repository Metadata Generator         ") + chalk.bold.cyan("║"));
-  console.log(chalk.bold.cyan("╚════════════════════════════════════════════════╝") + "\n");
+// Process exit codes, so scripts and cron jobs can tell outcomes apart
+const EXIT_CODES = {
+  APPLIED: 0,
+  ERROR: 1,
+  NOTHING_TO_DO: 2,
+};
 
-  // Get API tokens from environment or prompt
-  let githubToken = process.env.GITHUB_TOKEN;
-  let openaiApiKey = process.env.OPENAI_API_KEY;
+// Repositories processed in parallel during batch runs
+const DEFAULT_CONCURRENCY = 3;
 
-  if (githubToken) {
-    console.log(chalk.green("✓") + " GitHub token loaded from environment");
-  } else {
-    githubToken = await password({
-      message: "Enter your GitHub Personal Access Token:",
-      mask: "*",
-    });
-  }
+// GitHub rejects longer repository descriptions
+const MAX_DESCRIPTION_LENGTH = 350;
 
-  if (openaiApiKey) {
-    console.log(chalk.green("✓") + " OpenAI API key loaded from environment");
-  } else {
-    openaiApiKey = await password({
-      message: "Enter your OpenAI API Key:",
-      mask: "*",
-    });
-  }
+// Requests per language before a translation that keeps losing code, links or badges is given up
+const MAX_TRANSLATION_ATTEMPTS = 2;
 
-  // Initialize clients
-  const octokit = new Octokit({ auth: githubToken });
-  const openai = new OpenAI({ apiKey: openaiApiKey });
+// Requests a combined generation makes before the fields it still couldn't fill are generated one by one
+const MAX_COMBINED_ATTEMPTS = 3;
 
-  // Fetch user info and repositories
-  console.log("\n" + chalk.yellow("⏳") + " Fetching your repositories...\n");
+// Prompt tokens of a request besides the repository's files: instructions, file list and details,
+// for the estimate shown before generation
+const ESTIMATE_PROMPT_TOKENS = 400;
 
-  let user;
-  try {
-    const { data } = await octokit.rest.users.getAuthenticated();
-    user = data;
-  } catch (error) {
-    console.error(chalk.red("✗") + " Error: Invalid GitHub token or API error.");
-    process.exit(1);
-  }
+// Repository settings recorded in the journal, as the GitHub API names them
+const JOURNAL_SETTINGS = ["description", "homepage", "topics"];
 
-  // Fetch all repositories (handling pagination)
-  let allRepos = [];
-  let page = 1;
-  while (true) {
-    const { data: repos } = await octokit.rest.repos.listForAuthenticatedUser({
-      per_page: 100,
-      page,
-      sort: "updated",
-    });
-    if (repos.length === 0) break;
-    allRepos = allRepos.concat(repos);
-    page++;
-  }
+// Format version of plan files written by --dry-run
+const PLAN_VERSION = 1;
+const DEFAULT_PLAN_PATH = "metadata-plan.json";
 
-  if (allRepos.length === 0) {
-    console.log(chalk.red("✗") + " No repositories found.");
-    process.exit(0);
-  }
+const USAGE = `Usage: node index.js [options]
+       node index.js apply <plan.json> [--yes] [--json]
+       node index.js --local <path> [options]
+       node index.js audit [--report <path>] [--min-score <n>]
+       node index.js history [--repo <owner/name>]
+       node index.js rollback <entry|owner/name> [--yes]
+       node index.js cache clear
 
-  console.log(chalk.green("✓") + ` Found ${chalk.bold(allRepos.length)} repositories\n`);
+Without --repo, the repository and fields are picked interactively.
 
-  // Calculate column widths for table display
-  const maxNameLen = Math.min(30, Math.max(...allRepos.map(r => r.name.length)));
-  const maxLangLen = Math.min(15, Math.max(...allRepos.map(r => (r.language || "--").length)));
+Commands:
+  apply <plan.json>     Push the values from a plan written by --dry-run. Repositories
+                        that changed since the plan was made are refused
+  audit                 Score every repository's metadata and community health files, without
+                        calling an LLM. Prints a table; --report also writes it to a file
+  history               List the changes applied to repositories, newest first, from the journal
+  rollback <entry|repo> Restore the values a journal entry replaced, or the latest change to a
+                        repository given as owner/name. Skipped if the repository changed since
+  cache clear           Delete cached repository listings, contexts and completions
 
-  // Format relative time for "Last Updated" column
-  const formatRelativeTime = (dateString) => {
-    const now = new Date();
-    const date = new Date(dateString);
-    const diffMs = now - date;
-    const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+Options:
+  --repo <owner/name>   Repository to update; skips every prompt. Repeat the flag
+                        or pass a comma-separated list to update several at once
+  --fields <list>       Comma-separated fields to generate: ${Object.keys(FIELD_LABELS).join(", ")}
+                        (defaults to the missing ones among ${DEFAULT_FIELDS.join(", ")}); fields
+                        named here are regenerated even when populated
+  --batch               Pick several repositories and process them in one run
+  --local <path>        Work on a git working copy on disk: README.md, community files and
+                        package.json are written to the working tree instead of being committed on GitHub
+  --push-settings       With --local, also update the description, homepage and topics on
+                        GitHub (asked interactively when not given)
+  --owner <login>       Only browse repositories of these users or organizations (repeatable,
+                        or a comma-separated list)
+  --sort <order>        Repository browser order: ${Object.keys(REPO_SORTS).join(", ")} (default: updated);
+                        for audit: ${Object.keys(AUDIT_SORTS).join(", ")} (default: score)
+  --overwrite           In batch runs without --fields, also regenerate fields that are populated
+  --concurrency <n>     Repositories processed in parallel in batch runs (default: ${DEFAULT_CONCURRENCY})
+  --provider <name>     LLM provider: ${Object.keys(PROVIDERS).join(", ")}
+                        (default: $LLM_PROVIDER, llm.provider from .repometarc, or ${DEFAULT_PROVIDER})
+  --model <name>        Model for every field, or <field>=<name> for one field (repeatable)
+  --temperature <n>     Sampling temperature, or <field>=<n> for one field (repeatable)
+  --max-tokens <n>      Completion token limit, or <field>=<n> for one field (repeatable)
+  --candidates <n>      Descriptions and topic lists to generate to choose from, or <field>=<n>
+                        for one field (repeatable; default: 1)
+  --max-cost <usd>      Stop making LLM requests once the run has cost this many US dollars
+  --max-total-tokens <n> Stop making LLM requests once the run has used this many tokens
+  --generation-mode <m> How description, website, topics and README.md are generated: ${GENERATION_MODES.join(", ")}
+                        (default: per-field; combined asks for them in one structured request)
+  --base-url <url>      API base URL for the openai-compatible, azure or ollama providers
+  --config <path>       Project config file to use instead of ./.repometarc
+  --commit-mode <mode>  How file changes are pushed: ${COMMIT_MODES.join(", ")} (default: auto,
+                        which opens a pull request when the default branch is protected)
+  --readme-mode <mode>  How an existing README is updated: ${README_MODES.join(", ")} (default: replace;
+                        improve only adds missing sections and regenerates its own)
+  --readme-template <p> README template with {{slots}} to fill when a whole README is written
+  --readme-languages <l> Languages the translations field translates README.md into, comma-separated
+                        (e.g. zh-CN,ja)
+  --topics-strategy <s> How generated topics combine with existing ones: ${TOPIC_STRATEGIES.join(", ")}
+                        (default: merge, which keeps existing topics)
+  --verify-homepage     Only use a homepage that answers an HTTP request
+  --sync-direction <d>  Which way the manifests field syncs: ${SYNC_DIRECTIONS.join(", ")}
+                        (default: to-manifests, which writes the metadata into the manifests)
+  --no-cache            Don't read or write the cache of listings, contexts and completions
+  --resume              Continue an interrupted batch run: repositories it finished are
+                        skipped, the ones that failed are tried again
+  --dry-run             Write the generated metadata to a plan file instead of applying it
+  --out <path>          Plan file written by --dry-run (default: ${DEFAULT_PLAN_PATH})
+  --report <path>       Audit report to write; .md, .csv or .json (repeatable)
+  --min-score <n>       Make audit fail when a repository scores below n (0-100)
+  -y, --yes             Apply the generated metadata without asking
+  --json                Print the result as JSON on stdout (requires --repo or --local)
+  -h, --help            Show this help
 
-    if (diffDays === 0) return "today";
-    if (diffDays === 1) return "yesterday";
-    if (diffDays < 7) return `${diffDays}d ago`;
-    if (diffDays < 30) return `${Math.floor(diffDays / 7)}w ago`;
-    if (diffDays < 365) return `${Math.floor(diffDays / 30)}mo ago`;
-    return `${Math.floor(diffDays / 365)}y ago`;
-  };
+Exit codes:
+  ${EXIT_CODES.APPLIED}  changes applied (or plan written with --dry-run, or audit passed)
+  ${EXIT_CODES.ERROR}  error (or a repository scored below --min-score)
+  ${EXIT_CODES.NOTHING_TO_DO}  nothing to do (no missing fields, or changes not applied)`;
 
-  // Display repositories in table column format
-  const displayRepositoriesTable = (repos) => {
-    // Box drawing characters for better visual styling
-    const box = {
-      topLeft: "┌", topRight: "┐", bottomLeft: "└", bottomRight: "┘",
-      horizontal: "─", vertical: "│", teeDown: "┬", teeUp: "┴", teeRight: "├", teeLeft: "┤", cross: "┼"
-    };
+// Progress output goes to stderr in --json mode so stdout only carries the result
+let jsonOutput = false;
 
-    // Column definitions with widths
-    const cols = {
-      name: maxNameLen + 2,
-      lang: maxLangLen + 2,
-      stars: 7,
-      forks: 7,
-      updated: 12,
-      visibility: 10,
-      desc: 30
-    };
+// Repository listings, contexts and completions from earlier runs; replaced once the config is loaded
+let cache = createCache({ enabled: false });
 
-    const totalWidth = Object.values(cols).reduce((a, b) => a + b, 0) + Object.keys(cols).length + 1;
-
-    // Build header row
-    const headerLabels = [
-      " Name".padEnd(cols.name),
-      "Language".padEnd(cols.lang),
-      "★ Stars".padEnd(cols.stars),
-      "⑂ Forks".padEnd(cols.forks),
-      "Updated".padEnd(cols.updated),
-      "Visibility".padEnd(cols.visibility),
-      "Description".padEnd(cols.desc)
-    ];
+// Record of applied changes, for rollbacks; moved to journal.dir once the config is loaded
+let journal = createJournal();
 
-    // Top border
-    const topBorder = chalk.dim(
-      box.topLeft +
-      [cols.name, cols.lang, cols.stars, cols.forks, cols.updated, cols.visibility, cols.desc]
-        .map(w => box.horizontal.repeat(w))
-        .join(box.teeDown) +
-      box.topRight
-    );
+// Tokens and cost of the run's LLM requests; replaced with one holding the budget once the config is loaded
+let usage = createUsageTracker();
 
-    // Header separator
-    const headerSep = chalk.dim(
-      box.teeRight +
-      [cols.name, cols.lang, cols.stars, cols.forks, cols.updated, cols.visibility, cols.desc]
-        .map(w => box.horizontal.repeat(w))
-        .join(box.cross) +
-      box.teeLeft
-    );
+function log(...args) {
+  if (jsonOutput) {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
 
-    // Bottom border
-    const bottomBorder = chalk.dim(
-      box.bottomLeft +
-      [cols.name, cols.lang, cols.stars, cols.forks, cols.updated, cols.visibility, cols.desc]
-        .map(w => box.horizontal.repeat(w))
-        .join(box.teeUp) +
-      box.bottomRight
-    );
+async function main() {
+  const options = parseCliOptions(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
 
-    console.log(topBorder);
-    console.log(
-      chalk.dim(box.vertical) +
-      headerLabels.map(h => chalk.bold.white(h)).join(chalk.dim(box.vertical)) +
-      chalk.dim(box.vertical)
-    );
-    console.log(headerSep);
-
-    repos.slice(0, 15).forEach((repo, idx) => {
-      const name = chalk.bold.cyan(repo.name.substring(0, cols.name - 1).padEnd(cols.name));
-      const language = repo.language
-        ? chalk.blue(repo.language.padEnd(cols.lang))
-        : chalk.gray("--".padEnd(cols.lang));
-      const stars = chalk.yellow(String(repo.stargazers_count).padEnd(cols.stars));
-      const forks = chalk.magenta(String(repo.forks_count).padEnd(cols.forks));
-      const updated = chalk.green(formatRelativeTime(repo.pushed_at).padEnd(cols.updated));
-      const visibility = repo.private
-        ? chalk.yellow("private".padEnd(cols.visibility))
-        : chalk.green("public".padEnd(cols.visibility));
-      const descText = repo.description
-        ? repo.description.substring(0, cols.desc - 3) + (repo.description.length > cols.desc - 3 ? "..." : "")
-        : "No description";
-      const desc = repo.description
-        ? chalk.gray(descText.padEnd(cols.desc))
-        : chalk.dim.gray(descText.padEnd(cols.desc));
-
-      console.log(
-        chalk.dim(box.vertical) +
-        `${name}${chalk.dim(box.vertical)}${language}${chalk.dim(box.vertical)}${stars}${chalk.dim(box.vertical)}${forks}${chalk.dim(box.vertical)}${updated}${chalk.dim(box.vertical)}${visibility}${chalk.dim(box.vertical)}${desc}` +
-        chalk.dim(box.vertical)
-      );
-    });
+  jsonOutput = options.json;
+  let interactive = options.repos.length === 0;
+  if (options.command === "apply" || options.command === "rollback") {
+    interactive = !options.yes;
+  } else if (options.command === "audit") {
+    // Audits run in CI, so nothing is asked
+    interactive = false;
+  } else if (options.local) {
+    // Like --repo, --json prints the result without applying it unless --yes is given
+    interactive = !options.yes && !options.json;
+  }
 
-    if (repos.length > 15) {
-      console.log(headerSep);
-      const moreMsg = `  ... and ${repos.length - 15} more repositories`;
-      console.log(chalk.dim(box.vertical) + chalk.dim.italic(moreMsg.padEnd(totalWidth - 2)) + chalk.dim(box.vertical));
-    }
-    console.log(bottomBorder);
-  };
+  log("\n" + chalk.bold.cyan("╔════════════════════════════════════════════════╗"));
+  log(chalk.bold.cyan("║") + chalk.bold.white("   GitHub Repository Metadata Generator         ") + chalk.bold.cyan("║"));
+  log(chalk.bold.cyan("╚════════════════════════════════════════════════╝") + "\n");
 
-  // Display table of repositories
-  console.log(chalk.bold.cyan("\n📋 Your Repositories:\n"));
-  displayRepositoriesTable(allRepos);
-
-  // Helper function to format repository for search results
-  const formatRepoChoice = (repo) => {
-    // Fixed column widths for alignment
-    const nameWidth = 28;
-    const langWidth = 12;
-    const statsWidth = 14;
-
-    // Repository name (padded for alignment)
-    const name = repo.name.length > nameWidth - 1
-      ? repo.name.substring(0, nameWidth - 2) + "…"
-      : repo.name;
-    const namePadded = chalk.bold.cyan(name.padEnd(nameWidth));
-
-    // Language tag
-    const langText = repo.language || "—";
-    const language = repo.language
-      ? chalk.blue(langText.padEnd(langWidth))
-      : chalk.dim.gray(langText.padEnd(langWidth));
-
-    // Stats (stars and forks)
-    const starsText = `★${String(repo.stargazers_count).padStart(4)}`;
-    const forksText = `⑂${String(repo.forks_count).padStart(4)}`;
-    const stats = chalk.yellow(starsText) + " " + chalk.magenta(forksText);
-
-    // Visibility indicator
-    const visibility = repo.private
-      ? chalk.yellow("●")
-      : chalk.green("○");
-
-    // Description (truncated)
-    const descText = repo.description
-      ? repo.description.substring(0, 40) + (repo.description.length > 40 ? "…" : "")
-      : "No description";
-    const description = repo.description
-      ? chalk.gray(descText)
-      : chalk.dim.gray(descText);
-
-    return `${visibility} ${namePadded} ${language} ${stats}  ${chalk.dim("│")} ${description}`;
-  };
+  // Load ~/.repometarc and ./.repometarc (or --config)
+  const { config: baseConfig, sources } = await loadConfig({ path: options.config });
+  sources.forEach((source) => log(chalk.green("✓") + ` Config loaded from ${source}`));
 
-  // Let user search and select a repository
-  console.log(chalk.dim("\nType to search repositories by name, language, or description:"));
-  console.log(chalk.dim("  ○/● Name                         Language     Stars Forks │ Description"));
-  console.log(chalk.dim("  ─────────────────────────────────────────────────────────────────────────────\n"));
+  cache = createCache({ dir: baseConfig.cache.dir || defaultCacheDir(), enabled: !options.noCache });
+  if (options.command === "cache") {
+    await cache.clear();
+    log(chalk.green("✓") + ` Cache cleared (${cache.dir})`);
+    return EXIT_CODES.APPLIED;
+  }
 
-  const selectedRepo = await search({
-    message: chalk.cyan("Search and select a repository:"),
-    source: async (input) => {
-      const searchTerm = (input || "").toLowerCase();
-      const filtered = allRepos.filter((repo) => {
-        if (!searchTerm) return true;
-        return (
-          repo.name.toLowerCase().includes(searchTerm) ||
-          (repo.language || "").toLowerCase().includes(searchTerm) ||
-          (repo.description || "").toLowerCase().includes(searchTerm)
-        );
-      });
-      return filtered.map((repo) => ({
-        name: formatRepoChoice(repo),
-        value: repo,
-      }));
-    },
-    pageSize: 15,
-  });
+  journal = createJournal({ dir: baseConfig.journal.dir || defaultJournalDir() });
+  if (options.command === "history") {
+    return runHistory(options);
+  }
 
-  console.log("\n" + chalk.green("✓") + ` Selected: ${chalk.bold.white(selectedRepo.full_name)}\n`);
+  options.provider = options.provider || baseConfig.llm.provider || DEFAULT_PROVIDER;
+  options.baseUrl = options.baseUrl || baseConfig.llm.baseUrl;
 
-  // Check what's missing
-  const missing = [];
-  if (!selectedRepo.description || selectedRepo.description.trim() === "") {
-    missing.push("description");
+  // Get API tokens from environment or prompt
+  const { githubToken, llmApiKey } = await resolveTokens(interactive, {
+    provider: !["apply", "audit", "rollback"].includes(options.command) ? options.provider : null,
+    github: !options.local,
+  });
+
+  // Command-line settings win over every config file
+  const overrides = { llm: options.llmSettings };
+  if (options.fields) {
+    overrides.fields = options.fields;
+  }
+  if (options.commitMode) {
+    overrides.commit = { mode: options.commitMode };
   }
-  if (!selectedRepo.homepage || selectedRepo.homepage.trim() === "") {
-    missing.push("website");
+  if (options.readmeMode || options.readmeTemplate || options.readmeLanguages) {
+    overrides.readme = {
+      ...(options.readmeMode && { mode: options.readmeMode }),
+      ...(options.readmeTemplate && { template: options.readmeTemplate }),
+      ...(options.readmeLanguages && { languages: options.readmeLanguages }),
+    };
+  }
+  if (options.topicsStrategy) {
+    overrides.topics = { strategy: options.topicsStrategy };
+  }
+  if (options.verifyHomepage) {
+    overrides.website = { verify: true };
+  }
+  if (options.syncDirection) {
+    overrides.manifests = { direction: options.syncDirection };
+  }
+  if (options.generationMode) {
+    overrides.generation = { mode: options.generationMode };
+  }
+  if (options.owners.length > 0) {
+    overrides.repos = { owners: options.owners };
+  }
+  if (options.sort && options.command !== "audit") {
+    overrides.display = { sort: options.sort };
+  }
+  if (options.maxCost !== null || options.maxTotalTokens !== null) {
+    overrides.usage = {
+      ...(options.maxCost !== null && { maxCost: options.maxCost }),
+      ...(options.maxTotalTokens !== null && { maxTokens: options.maxTotalTokens }),
+    };
   }
-  if (!selectedRepo.topics || selectedRepo.topics.length === 0) {
-    missing.push("topics");
+
+  // The budget is for the whole run, so a repository's own config can't change it
+  usage = createUsageTracker(mergeConfig(baseConfig, overrides).usage);
+
+  // Applying a plan pushes reviewed values as-is, audits only read and rollbacks restore recorded
+  // values, so no LLM client is needed
+  const llm =
+    ["apply", "audit", "rollback"].includes(options.command)
+      ? null
+      : createLlm({
+          provider: options.provider,
+          apiKey: llmApiKey,
+          baseURL: options.baseUrl,
+          cache,
+          onRetry: reportRetry(PROVIDERS[options.provider].label),
+          usage,
+        });
+
+  // A working copy may not be on GitHub yet, so it gets by without a GitHub token
+  if (options.local) {
+    return runLocal(llm, githubToken, options, { interactive, baseConfig, configSources: sources, overrides });
   }
 
-  // Check if README exists
-  let hasReadme = false;
+  // Initialize clients
+  const octokit = createGitHubClient(githubToken, { onRetry: reportRetry("GitHub") });
+
   try {
-    await octokit.rest.repos.getReadme({
-      owner: selectedRepo.owner.login,
-      repo: selectedRepo.name,
-    });
-    hasReadme = true;
+    await octokit.rest.users.getAuthenticated();
   } catch (error) {
-    if (error.status === 404) {
-      missing.push("README.md");
-    }
+    throw new Error(`Could not sign in to GitHub: ${error.message}`);
   }
 
-  if (missing.length === 0) {
-    console.log(chalk.green("✓") + " This repository already has all metadata fields populated!");
-    const continueAnyway = await confirm({
-      message: chalk.cyan("Would you like to regenerate any fields anyway?"),
-      default: false,
-    });
-    if (!continueAnyway) {
-      process.exit(0);
+  if (options.command === "apply") {
+    return runApplyPlan(octokit, options, mergeConfig(baseConfig, overrides));
+  }
+  if (options.command === "audit") {
+    return runAudit(octokit, options, mergeConfig(baseConfig, overrides));
+  }
+  if (options.command === "rollback") {
+    return runRollback(octokit, options, mergeConfig(baseConfig, overrides));
+  }
+
+  if (options.batch || options.repos.length > 1) {
+    return runBatch(octokit, llm, options, baseConfig, overrides);
+  }
+
+  let selectedRepo;
+  if (interactive) {
+    selectedRepo = await selectRepository(octokit, mergeConfig(baseConfig, overrides));
+    if (!selectedRepo) {
+      return EXIT_CODES.NOTHING_TO_DO;
     }
   } else {
-    console.log(chalk.yellow("⚠") + ` Missing fields: ${chalk.bold(missing.join(", "))}`);
+    selectedRepo = await fetchRepository(octokit, options.repos[0]);
   }
+  ensureWritable(selectedRepo);
 
-  // Let user select which fields to generate
-  const fieldsToGenerate = await checkbox({
-    message: chalk.cyan("Select which fields to generate:"),
-    choices: [
-      {
-        name: "Description",
-        value: "description",
-        checked: missing.includes("description"),
-      },
-      {
-        name: "Website",
-        value: "website",
-        checked: missing.includes("website"),
-      },
-      {
-        name: "Topics",
-        value: "topics",
-        checked: missing.includes("topics"),
-      },
-      {
-        name: "README.md",
-        value: "readme",
-        checked: missing.includes("README.md"),
-      },
-    ],
-  });
+  log("\n" + chalk.green("✓") + ` Selected: ${chalk.bold.white(selectedRepo.full_name)}\n`);
+
+  const config = await resolveRepositoryConfig(octokit, selectedRepo, baseConfig, overrides);
+
+  const result = {
+    repository: selectedRepo.full_name,
+    status: null,
+    missing: [],
+    fields: [],
+    context: [],
+    generated: {},
+    applied: [],
+    errors: [],
+  };
+
+  // Check what's missing
+  const missing = await detectMissingFields(octokit, selectedRepo);
+  result.missing = missing;
+
+  const fieldsToGenerate = await chooseFields(missing, options, config, interactive);
+  if (!fieldsToGenerate) {
+    return reportResult(result, "nothing-to-do");
+  }
+  result.fields = fieldsToGenerate;
 
   if (fieldsToGenerate.length === 0) {
-    console.log(chalk.yellow("⚠") + " No fields selected. Exiting.");
-    process.exit(0);
+    log(chalk.yellow("⚠") + " No fields selected. Exiting.");
+    return reportResult(result, "nothing-to-do");
   }
 
   // Fetch repository content for context
-  console.log("\n" + chalk.yellow("⏳") + " Analyzing repository content...\n");
-  let repoContext = await getRepositoryContext(octokit, selectedRepo);
+  log("\n" + chalk.yellow("⏳") + " Analyzing repository content...\n");
+  const repoContext = await getRepositoryContext(octokit, selectedRepo, config);
+  result.context = summarizeSources(repoContext);
 
-  // Generate metadata using OpenAI
-  const generatedData = {};
+  const repoLlm = llm.forRepository(selectedRepo.full_name);
+  displayEstimate(estimateRequests(repoLlm, fieldsToGenerate, config, repoContext));
 
-  if (fieldsToGenerate.includes("description")) {
-    console.log(chalk.blue("⟳") + " Generating description...");
-    generatedData.description = await generateDescription(openai, repoContext);
-    console.log(chalk.green("  ✓") + ` ${chalk.white(generatedData.description)}\n`);
+  // Generate metadata using the configured LLM provider
+  let generatedData = await generateMetadata(repoLlm, repoContext, fieldsToGenerate, config, { choose: interactive && !options.yes });
+  result.generated = generatedData;
+
+  if (Object.keys(generatedData).length === 0) {
+    log(chalk.green("✓") + " Nothing to change.");
+    return reportResult(result, "nothing-to-do");
   }
 
-  if (fieldsToGenerate.includes("website")) {
-    console.log(chalk.blue("⟳") + " Generating website suggestion...");
-    generatedData.website = await generateWebsite(openai, repoContext);
-    console.log(chalk.green("  ✓") + ` ${chalk.cyan.underline(generatedData.website)}\n`);
+  const currentReadme = generatedData.readme !== undefined ? await getReadmeInfo(octokit, selectedRepo) : null;
+  const currentFiles = await readCurrentFiles(repoContext, generatedData);
+  await displayMetadataDiff(selectedRepo, currentReadme, generatedData, { paging: interactive, currentFiles });
+
+  // Reviewed before a plan is written too, so the plan only holds accepted values
+  if (interactive && !options.yes) {
+    generatedData = await reviewMetadata(repoLlm, repoContext, generatedData, config, { repo: selectedRepo, currentReadme, currentFiles });
+    result.generated = generatedData;
+    if (Object.keys(generatedData).length === 0) {
+      log(chalk.yellow("⚠") + " Every field was dropped. Nothing to apply.");
+      return reportResult(result, "nothing-to-do");
+    }
   }
 
-  if (fieldsToGenerate.includes("topics")) {
-    console.log(chalk.blue("⟳") + " Generating topics...");
-    generatedData.topics = await generateTopics(openai, repoContext);
-    console.log(chalk.green("  ✓") + ` ${chalk.magenta(generatedData.topics.join(", "))}\n`);
+  if (options.dryRun) {
+    const entry = await createPlanEntry(octokit, selectedRepo, generatedData, repoContext);
+    await writePlan(options.out, [entry]);
+    log(chalk.green("✓") + ` Plan written to ${chalk.bold(options.out)}`);
+    log(chalk.dim(`  Review it, then apply it with: node index.js apply ${options.out}\n`));
+    return reportResult(result, "planned");
   }
 
-  if (fieldsToGenerate.includes("readme")) {
-    console.log(chalk.blue("⟳") + " Generating README.md...");
-    generatedData.readme = await generateReadme(openai, repoContext);
-    console.log(chalk.green("  ✓") + " README.md content generated\n");
+  if (!options.yes && !interactive) {
+    log(chalk.yellow("⚠") + " Changes not applied. Pass --yes to apply them.");
+    return reportResult(result, "nothing-to-do");
   }
 
-  // Confirm before applying
-  console.log("\n" + chalk.bold.cyan("╔════════════════════════════════════════════════╗"));
-  console.log(chalk.bold.cyan("║") + chalk.bold.white("           Generated Metadata Summary           ") + chalk.bold.cyan("║"));
-  console.log(chalk.bold.cyan("╚════════════════════════════════════════════════╝") + "\n");
+  // Apply changes
+  log("\n" + chalk.yellow("⏳") + " Applying changes...\n");
 
-  if (generatedData.description) {
-    console.log(chalk.bold.white("📝 Description:"));
-    console.log(chalk.gray("   " + generatedData.description) + "\n");
-  }
-  if (generatedData.website) {
-    console.log(chalk.bold.white("🔗 Website:"));
-    console.log(chalk.cyan.underline("   " + generatedData.website) + "\n");
-  }
-  if (generatedData.topics) {
-    console.log(chalk.bold.white("🏷️  Topics:"));
-    console.log("   " + generatedData.topics.map(t => chalk.magenta(`#${t}`)).join("  ") + "\n");
+  const { applied, errors, pullRequest } = await applyMetadata(octokit, selectedRepo, generatedData, {
+    commit: config.commit,
+  });
+  result.applied = applied;
+  result.errors = errors;
+  if (pullRequest) {
+    result.pullRequest = pullRequest;
   }
-  if (generatedData.readme) {
-    console.log(chalk.bold.white(`📄 README.md: `) + chalk.gray(`(${generatedData.readme.length} characters)`));
-    console.log(chalk.dim("   ─────────────────────────────────────────────"));
-    const previewLines = generatedData.readme.substring(0, 400).split("\n").slice(0, 8);
-    previewLines.forEach(line => console.log(chalk.gray("   " + line)));
-    console.log(chalk.dim("   ─────────────────────────────────────────────\n"));
+
+  if (errors.length > 0) {
+    return reportResult(result, "error");
   }
 
-  const applyChanges = await confirm({
-    message: chalk.cyan("Apply these changes to the repository?"),
-    default: true,
-  });
+  log("\n" + chalk.bold.green("╔════════════════════════════════════════════════╗"));
+  log(chalk.bold.green("║") + chalk.bold.white("     All changes applied successfully! 🎉      ") + chalk.bold.green("║"));
+  log(chalk.bold.green("╚════════════════════════════════════════════════╝") + "\n");
 
-  if (!applyChanges) {
-    console.log(chalk.yellow("⚠") + " Changes cancelled.");
-    process.exit(0);
+  if (pullRequest) {
+    log(chalk.cyan("  The file changes are waiting for review: ") + chalk.cyan.underline(pullRequest.url) + "\n");
   }
 
-  // Apply changes
-  console.log("\n" + chalk.yellow("⏳") + " Applying changes...\n");
+  return reportResult(result, "applied");
+}
 
-  try {
-    // Update repository metadata (description, website)
-    if (generatedData.description || generatedData.website) {
-      const updateData = {};
-      if (generatedData.description) {
-        updateData.description = generatedData.description;
-      }
-      if (generatedData.website) {
-        updateData.homepage = generatedData.website;
-      }
+// Generate metadata for a working copy on disk. README.md, community files and package.json are
+// written to the working tree, ready for a normal commit; description, homepage and topics can also
+// be pushed to GitHub.
+async function runLocal(llm, githubToken, options, { interactive, baseConfig, configSources, overrides }) {
+  const workingCopy = await readWorkingCopy(options.local);
+  log(chalk.green("✓") + ` Working copy: ${chalk.bold.white(workingCopy.root)} ${chalk.gray(`(${workingCopy.branch})`)}`);
 
-      await octokit.rest.repos.update({
-        owner: selectedRepo.owner.login,
-        repo: selectedRepo.name,
-        ...updateData,
-      });
-      console.log(chalk.green("  ✓") + " Updated repository description/website");
-    }
+  const { octokit, repo: githubRepo } = await findGitHubRepository(workingCopy, githubToken);
+  const repo = githubRepo || (await describeLocalRepository(workingCopy));
 
-    // Update topics
-    if (generatedData.topics) {
-      await octokit.rest.repos.replaceAllTopics({
-        owner: selectedRepo.owner.login,
-        repo: selectedRepo.name,
-        names: generatedData.topics,
-      });
-      console.log(chalk.green("  ✓") + " Updated repository topics");
-    }
+  const repoConfig = await loadLocalRepositoryConfig(workingCopy.root);
+  if (repoConfig && !configSources.includes(repoConfig.path)) {
+    log(chalk.green("✓") + ` Config loaded from ${repoConfig.path}`);
+  }
+  // The working directory's .repometarc was loaded as the project config, which is the user's own
+  const config = configSources.includes(repoConfig?.path)
+    ? mergeConfig(baseConfig, overrides)
+    : layerRepositoryConfig(baseConfig, repoConfig?.config, overrides, repoConfig?.path);
 
-    // Create README.md
-    if (generatedData.readme) {
-      try {
-        // Check if README already exists
-        const { data: existingReadme } = await octokit.rest.repos
-          .getReadme({
-            owner: selectedRepo.owner.login,
-            repo: selectedRepo.name,
-          })
-          .catch(() => ({ data: null }));
-
-        if (existingReadme) {
-          // Update existing README
-          await octokit.rest.repos.createOrUpdateFileContents({
-            owner: selectedRepo.owner.login,
-            repo: selectedRepo.name,
-            path: "README.md",
-            message: "Update README.md via metadata generator",
-            content: Buffer.from(generatedData.readme).toString("base64"),
-            sha: existingReadme.sha,
-          });
-        } else {
-          // Create new README
-          await octokit.rest.repos.createOrUpdateFileContents({
-            owner: selectedRepo.owner.login,
-            repo: selectedRepo.name,
-            path: "README.md",
-            message: "Add README.md via metadata generator",
-            content: Buffer.from(generatedData.readme).toString("base64"),
-          });
-        }
-        console.log(chalk.green("  ✓") + " Created/Updated README.md");
-      } catch (error) {
-        console.error(chalk.red("  ✗") + ` Error creating README: ${error.message}`);
-      }
-    }
+  log("\n" + chalk.green("✓") + ` Selected: ${chalk.bold.white(repo.full_name)}\n`);
 
-    console.log("\n" + chalk.bold.green("╔════════════════════════════════════════════════╗"));
-    console.log(chalk.bold.green("║") + chalk.bold.white("     All changes applied successfully! 🎉      ") + chalk.bold.green("║"));
-    console.log(chalk.bold.green("╚════════════════════════════════════════════════╝") + "\n");
-  } catch (error) {
-    console.error(chalk.red("✗") + ` Error applying changes: ${error.message}`);
-    process.exit(1);
-  }
-}
-
-async function getRepositoryContext(octokit, repo) {
-  const context = {
-    name: repo.name,
-    fullName: repo.full_name,
-    description: repo.description || "",
-    language: repo.language || "Unknown",
-    topics: repo.topics || [],
-    isPrivate: repo.private,
-    defaultBranch: repo.default_branch,
-    files: [],
-    packageJson: null,
+  const result = {
+    repository: repo.full_name,
+    status: null,
+    missing: [],
+    fields: [],
+    context: [],
+    generated: {},
+    applied: [],
+    written: [],
+    errors: [],
   };
 
-  try {
-    // Get repository tree
-    const { data: tree } = await octokit.rest.git.getTree({
-      owner: repo.owner.login,
-      repo: repo.name,
-      tree_sha: repo.default_branch,
-      recursive: "1",
-    });
-
-    context.files = tree.tree
-      .filter((item) => item.type === "blob")
-      .map((item) => item.path)
-      .slice(0, 100); // Limit to 100 files for context
+  const missing = detectMissingMetadata(repo);
+  if (!(await readLocalReadme(workingCopy))) {
+    missing.push("readme");
+  }
+  missing.push(...detectMissingCommunityFiles(repo, workingCopy.files.map((file) => file.path)));
+  result.missing = missing;
 
-    // Try to get package.json for Node.js projects
-    try {
-      const { data: packageJson } = await octokit.rest.repos.getContent({
-        owner: repo.owner.login,
-        repo: repo.name,
-        path: "package.json",
-      });
-      if (packageJson.content) {
-        context.packageJson = JSON.parse(
-          Buffer.from(packageJson.content, "base64").toString()
-        );
-      }
-    } catch (e) {
-      // No package.json
-    }
-
-    // Try to get other common config files
-    const configFiles = [
-      "Cargo.toml",
-      "pyproject.toml",
-      "setup.py",
-      "go.mod",
-      "pom.xml",
-      "build.gradle",
-    ];
+  const fieldsToGenerate = await chooseFields(missing, options, config, interactive);
+  if (!fieldsToGenerate) {
+    return reportResult(result, "nothing-to-do");
+  }
+  result.fields = fieldsToGenerate;
 
-    for (const configFile of configFiles) {
-      try {
-        const { data: config } = await octokit.rest.repos.getContent({
-          owner: repo.owner.login,
-          repo: repo.name,
-          path: configFile,
-        });
-        if (config.content) {
-          context.configFile = {
-            name: configFile,
-            content: Buffer.from(config.content, "base64").toString(),
-          };
-          break;
-        }
-      } catch (e) {
-        // Config file doesn't exist
-      }
-    }
-  } catch (error) {
-    console.log(chalk.yellow("  ⚠") + " Warning: Could not fetch full repository context");
+  if (fieldsToGenerate.length === 0) {
+    log(chalk.yellow("⚠") + " No fields selected. Exiting.");
+    return reportResult(result, "nothing-to-do");
   }
 
-  return context;
-}
+  log("\n" + chalk.yellow("⏳") + " Analyzing the working copy...\n");
+  const repoContext = await getRepositoryContext(octokit, repo, config, { workingCopy });
+  result.context = summarizeSources(repoContext);
 
-async function generateDescription(openai, context) {
-  const prompt = `Generate a concise, professional GitHub repository description (max 150 characters) for a repository with the following details:
+  const repoLlm = llm.forRepository(repo.full_name);
+  displayEstimate(estimateRequests(repoLlm, fieldsToGenerate, config, repoContext));
 
-Repository name: ${context.name}
-Primary language: ${context.language}
-Current topics: ${context.topics.join(", ") || "None"}
-Files in repository: ${context.files.slice(0, 20).join(", ")}
-${context.packageJson ? `Package.json name: ${context.packageJson.name}, description: ${context.packageJson.description || "None"}` : ""}
-${context.configFile ? `Config file (${context.configFile.name}): ${context.configFile.content.substring(0, 500)}` : ""}
+  let generatedData = await generateMetadata(repoLlm, repoContext, fieldsToGenerate, config, { choose: interactive && !options.yes });
+  result.generated = generatedData;
 
-Return ONLY the description text, no quotes or extra formatting.`;
+  if (Object.keys(generatedData).length === 0) {
+    log(chalk.green("✓") + " Nothing to change.");
+    return reportResult(result, "nothing-to-do");
+  }
 
-  const response = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    messages: [{ role: "user", content: prompt }],
-    max_tokens: 100,
-    temperature: 0.7,
-  });
+  const currentReadme = generatedData.readme !== undefined ? await readLocalReadme(workingCopy) : null;
+  const currentFiles = await readCurrentFiles(repoContext, generatedData);
+  await displayMetadataDiff(repo, currentReadme, generatedData, { paging: interactive, currentFiles });
 
-  return response.choices[0].message.content.trim().substring(0, 350);
-}
+  if (interactive && !options.yes) {
+    generatedData = await reviewMetadata(repoLlm, repoContext, generatedData, config, { repo, currentReadme, currentFiles });
+    result.generated = generatedData;
+    if (Object.keys(generatedData).length === 0) {
+      log(chalk.yellow("⚠") + " Every field was dropped. Nothing to write.");
+      return reportResult(result, "nothing-to-do");
+    }
+  } else if (!options.yes) {
+    log(chalk.yellow("⚠") + " Changes not written. Pass --yes to write them.");
+    return reportResult(result, "nothing-to-do");
+  }
 
-async function generateWebsite(openai, context) {
-  const prompt = `Suggest the most appropriate website URL for a GitHub repository with these details:
+  log("\n" + chalk.yellow("⏳") + " Writing changes...\n");
 
-Repository name: ${context.name}
-Full name: ${context.fullName}
-Primary language: ${context.language}
-${context.packageJson ? `Package name: ${context.packageJson.name}` : ""}
+  const applied = new Set();
+  result.written = await writeLocalMetadata(workingCopy, generatedData);
+  for (const path of result.written) {
+    log(chalk.green("  ✓") + ` Wrote ${path}`);
+  }
+  if (result.written.includes("package.json")) {
+    ["description", "website", "topics"].filter((field) => generatedData[field]).forEach((field) => applied.add(field));
+  }
+  // Files are always written
+  Object.keys(generatedData).filter(isFileField).forEach((field) => applied.add(field));
 
-If this appears to be an npm package, suggest the npmjs.com URL.
-If it's a Python package, suggest PyPI URL.
-If it could have GitHub Pages, suggest that.
-Otherwise, suggest a reasonable documentation or project URL.
+  // Description, homepage and topics are repository settings; only package.json holds a copy of them
+  const settings = {};
+  for (const field of ["description", "website", "topics"]) {
+    if (generatedData[field]) settings[field] = generatedData[field];
+  }
 
-Return ONLY the URL, nothing else.`;
+  if (Object.keys(settings).length > 0 && githubRepo) {
+    let pushSettings = options.pushSettings;
+    if (!pushSettings && interactive) {
+      pushSettings = await confirm({
+        message: chalk.cyan(`Also update the description, homepage and topics of ${githubRepo.full_name} on GitHub?`),
+        default: false,
+      });
+    }
+    if (pushSettings) {
+      ensureWritable(githubRepo);
+      const { applied: pushed, errors } = await applyMetadata(octokit, githubRepo, settings);
+      pushed.forEach((field) => applied.add(field));
+      result.errors = errors;
+    }
+  } else if (Object.keys(settings).length > 0 && options.pushSettings) {
+    log(chalk.yellow("  ⚠") + " Not pushed to GitHub: the working copy has no GitHub repository");
+  }
 
-  const response = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    messages: [{ role: "user", content: prompt }],
-    max_tokens: 100,
-    temperature: 0.7,
-  });
+  result.applied = [...applied];
 
-  return response.choices[0].message.content.trim();
+  if (result.errors.length > 0) {
+    return reportResult(result, "error");
+  }
+  if (result.applied.length === 0) {
+    log(chalk.yellow("⚠") + " Nothing was written: there is no package.json to hold the generated fields, and they weren't pushed to GitHub.");
+    return reportResult(result, "nothing-to-do");
+  }
+
+  log("\n" + chalk.green("✓") + " Changes written. Review them with " + chalk.bold("git diff") + " and commit them as usual.\n");
+  return reportResult(result, "applied");
 }
 
-async function generateTopics(openai, context) {
-  const prompt = `Generate 5-10 relevant GitHub topics (tags) for a repository with these details:
+// The GitHub repository behind a working copy's remote. octokit and repo are null when there is no
+// GitHub remote or token, or the repository hasn't been created yet.
+async function findGitHubRepository(workingCopy, githubToken) {
+  const offline = { octokit: null, repo: null };
+  if (!workingCopy.remote) {
+    log(chalk.yellow("⚠") + " No GitHub remote found; working from the files alone");
+    return offline;
+  }
 
-Repository name: ${context.name}
-Primary language: ${context.language}
-Current description: ${context.description || "None"}
-Files in repository: ${context.files.slice(0, 30).join(", ")}
-${context.packageJson ? `Package.json dependencies: ${Object.keys(context.packageJson.dependencies || {}).slice(0, 10).join(", ")}` : ""}
-${context.configFile ? `Config file (${context.configFile.name}): ${context.configFile.content.substring(0, 300)}` : ""}
+  const { owner, name } = workingCopy.remote;
+  if (!githubToken) {
+    log(chalk.yellow("⚠") + ` GITHUB_TOKEN is not set; working from the files alone, without ${owner}/${name}'s GitHub settings`);
+    return offline;
+  }
 
-Rules for topics:
-- All lowercase
-- Use hyphens instead of spaces
-- No special characters
-- Keep each topic under 50 characters
-- Include the primary programming language as a topic
+  const octokit = createGitHubClient(githubToken, { onRetry: reportRetry("GitHub") });
+  try {
+    const { data } = await octokit.rest.repos.get({ owner, repo: name });
+    log(chalk.green("✓") + ` GitHub repository: ${chalk.bold.white(data.full_name)}`);
+    return { octokit, repo: data };
+  } catch (error) {
+    if (error.status === 404) {
+      log(chalk.yellow("⚠") + ` ${owner}/${name} is not on GitHub yet, or not accessible with this token; working from the files alone`);
+      return offline;
+    }
+    throw error;
+  }
+}
 
-Return ONLY a comma-separated list of topics, nothing else.`;
+// Fields to generate: picked from a checklist in interactive runs, otherwise --fields or the
+// configured fields that are missing. Returns null when the user doesn't want to regenerate anything.
+async function chooseFields(missing, options, config, interactive) {
+  if (missing.length === 0) {
+    log(chalk.green("✓") + " This repository already has all metadata fields populated!");
+  } else {
+    log(chalk.yellow("⚠") + ` Missing fields: ${chalk.bold(missing.map((f) => FIELD_LABELS[f]).join(", "))}`);
+  }
 
-  const response = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    messages: [{ role: "user", content: prompt }],
-    max_tokens: 150,
-    temperature: 0.7,
-  });
+  if (interactive) {
+    if (missing.length === 0) {
+      const continueAnyway = await confirm({
+        message: chalk.cyan("Would you like to regenerate any fields anyway?"),
+        default: false,
+      });
+      if (!continueAnyway) {
+        return null;
+      }
+    }
 
-  const topicsText = response.choices[0].message.content.trim();
-  return topicsText
-    .split(",")
-    .map((t) => t.trim().toLowerCase().replace(/\s+/g, "-"))
-    .filter((t) => t.length > 0 && t.length <= 50)
-    .slice(0, 10);
+    // Let user select which fields to generate
+    return checkbox({
+      message: chalk.cyan("Select which fields to generate:"),
+      choices: Object.entries(FIELD_LABELS).map(([field, label]) => ({
+        name: label,
+        value: field,
+        checked: options.fields ? options.fields.includes(field) : needsField(field, missing) && config.fields.includes(field),
+      })),
+    });
+  }
+
+  // Explicit --fields regenerate even populated fields; otherwise fill the configured gaps
+  return options.fields || Object.keys(FIELD_LABELS).filter((field) => needsField(field, missing) && config.fields.includes(field));
 }
 
-async function generateReadme(openai, context) {
-  const prompt = `Generate a professional README.md for a GitHub repository with these details:
+// Whether a configured field is worth generating. Manifests and translations never count as missing
+// but can fall behind at any time; only the files that differ are changed.
+function needsField(field, missing) {
+  return field === "manifests" || field === "translations" || missing.includes(field);
+}
 
-Repository name: ${context.name}
-Full name: ${context.fullName}
-Primary language: ${context.language}
-Description: ${context.description || "A software project"}
-Topics: ${context.topics.join(", ") || "None specified"}
-Files in repository: ${context.files.slice(0, 50).join(", ")}
-${context.packageJson ? `Package.json: ${JSON.stringify({ name: context.packageJson.name, description: context.packageJson.description, scripts: context.packageJson.scripts }, null, 2)}` : ""}
-${context.configFile ? `Config file (${context.configFile.name}): ${context.configFile.content.substring(0, 500)}` : ""}
+function parseCliOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      repo: { type: "string", multiple: true, default: [] },
+      fields: { type: "string" },
+      batch: { type: "boolean", default: false },
+      local: { type: "string" },
+      "push-settings": { type: "boolean", default: false },
+      owner: { type: "string", multiple: true, default: [] },
+      sort: { type: "string" },
+      overwrite: { type: "boolean", default: false },
+      concurrency: { type: "string" },
+      "commit-mode": { type: "string" },
+      "readme-mode": { type: "string" },
+      "readme-template": { type: "string" },
+      "readme-languages": { type: "string" },
+      "topics-strategy": { type: "string" },
+      "verify-homepage": { type: "boolean", default: false },
+      "sync-direction": { type: "string" },
+      "no-cache": { type: "boolean", default: false },
+      resume: { type: "boolean", default: false },
+      "dry-run": { type: "boolean", default: false },
+      out: { type: "string", default: DEFAULT_PLAN_PATH },
+      report: { type: "string", multiple: true, default: [] },
+      "min-score": { type: "string" },
+      provider: { type: "string" },
+      model: { type: "string", multiple: true, default: [] },
+      temperature: { type: "string", multiple: true, default: [] },
+      "max-tokens": { type: "string", multiple: true, default: [] },
+      candidates: { type: "string", multiple: true, default: [] },
+      "max-cost": { type: "string" },
+      "max-total-tokens": { type: "string" },
+      "generation-mode": { type: "string" },
+      "base-url": { type: "string" },
+      config: { type: "string" },
+      yes: { type: "boolean", short: "y", default: false },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
 
-Include these sections:
-1. Project title and description
-2. Features (based on the files and structure)
-3. Installation instructions
-4. Usage examples
-5. Contributing guidelines
-6. License section
+  const repos = values.repo
+    .flatMap((value) => value.split(","))
+    .map((name) => name.trim())
+    .filter((name) => name.length > 0);
+  for (const name of repos) {
+    if (!/^[\w.-]+\/[\w.-]+$/.test(name)) {
+      throw new Error(`--repo must be in the form owner/name, got "${name}"`);
+    }
+  }
 
-Make it professional and well-formatted with proper Markdown.`;
+  const [command, ...commandArgs] = positionals;
+  if (command !== undefined && !["apply", "audit", "cache", "history", "rollback"].includes(command)) {
+    throw new Error(`Unknown command "${command}". Run with --help for usage.`);
+  }
+  if (command === "apply" && commandArgs.length !== 1) {
+    throw new Error("apply expects exactly one plan file, e.g. apply plan.json");
+  }
+  if (command === "cache" && (commandArgs.length !== 1 || commandArgs[0] !== "clear")) {
+    throw new Error("Unknown cache command. Run cache clear to delete the cache.");
+  }
 
-  const response = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    messages: [{ role: "user", content: prompt }],
-    max_tokens: 2000,
-    temperature: 0.7,
-  });
+  if (command === "audit" && commandArgs.length > 0) {
+    throw new Error("audit takes no arguments; pass --repo to audit particular repositories");
+  }
+  if (command === "history" && commandArgs.length > 0) {
+    throw new Error("history takes no arguments; pass --repo to list the changes to particular repositories");
+  }
+  if (command === "rollback" && commandArgs.length !== 1) {
+    throw new Error("rollback expects a journal entry id or a repository, e.g. rollback owner/name");
+  }
 
-  return response.choices[0].message.content.trim();
-}
+  if (values.json && repos.length === 0 && !["apply", "audit", "history", "rollback"].includes(command) && values.local === undefined) {
+    throw new Error("--json requires --repo or --local");
+  }
 
-// Run the application
-main().catch((error) => {
-  console.error(chalk.red("✗") + ` Fatal error: ${error.message}`);
-  process.exit(1);
-});
+  if (command !== "audit" && (values.report.length > 0 || values["min-score"] !== undefined)) {
+    throw new Error(`${values.report.length > 0 ? "--report" : "--min-score"} only applies to the audit command`);
+  }
+  for (const path of values.report) {
+    if (!reportFormat(path)) {
+      throw new Error(`--report must end in ${AUDIT_REPORT_FORMATS.map((format) => `.${format}`).join(", ")}, got "${path}"`);
+    }
+  }
+
+  if (values.local !== undefined) {
+    const conflicting = [
+      ["apply", "history", "rollback"].includes(command) && command,
+      repos.length > 0 && "--repo",
+      values.batch && "--batch",
+      values["dry-run"] && "--dry-run",
+    ].filter(Boolean);
+    if (conflicting.length > 0) {
+      throw new Error(`--local can't be combined with ${conflicting.join(", ")}`);
+    }
+  } else if (values["push-settings"]) {
+    throw new Error("--push-settings requires --local");
+  }
+
+  if (values.resume && !values.batch && repos.length < 2) {
+    throw new Error("--resume only applies to batch runs (--batch, or several --repo)");
+  }
+
+  let concurrency = DEFAULT_CONCURRENCY;
+  if (values.concurrency !== undefined) {
+    concurrency = Number(values.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`--concurrency must be a positive integer, got "${values.concurrency}"`);
+    }
+  }
+
+  if (values["commit-mode"] !== undefined && !COMMIT_MODES.includes(values["commit-mode"])) {
+    throw new Error(`--commit-mode must be one of: ${COMMIT_MODES.join(", ")}, got "${values["commit-mode"]}"`);
+  }
+
+  if (values["readme-mode"] !== undefined && !README_MODES.includes(values["readme-mode"])) {
+    throw new Error(`--readme-mode must be one of: ${README_MODES.join(", ")}, got "${values["readme-mode"]}"`);
+  }
+
+  if (values["topics-strategy"] !== undefined && !TOPIC_STRATEGIES.includes(values["topics-strategy"])) {
+    throw new Error(`--topics-strategy must be one of: ${TOPIC_STRATEGIES.join(", ")}, got "${values["topics-strategy"]}"`);
+  }
+
+  if (values["sync-direction"] !== undefined && !SYNC_DIRECTIONS.includes(values["sync-direction"])) {
+    throw new Error(`--sync-direction must be one of: ${SYNC_DIRECTIONS.join(", ")}, got "${values["sync-direction"]}"`);
+  }
+
+  if (values["generation-mode"] !== undefined && !GENERATION_MODES.includes(values["generation-mode"])) {
+    throw new Error(`--generation-mode must be one of: ${GENERATION_MODES.join(", ")}, got "${values["generation-mode"]}"`);
+  }
+
+  const sorts = command === "audit" ? AUDIT_SORTS : REPO_SORTS;
+  if (values.sort !== undefined && !sorts[values.sort]) {
+    throw new Error(`--sort must be one of: ${Object.keys(sorts).join(", ")}, got "${values.sort}"`);
+  }
+
+  // Falls back to the config file's provider once it is loaded
+  const provider = values.provider || process.env.LLM_PROVIDER || null;
+  if (provider && !PROVIDERS[provider]) {
+    throw new Error(`Unknown provider "${provider}". Supported providers: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+
+  const {
+    repo,
+    owner,
+    "dry-run": dryRun,
+    "commit-mode": commitMode,
+    "readme-mode": readmeMode,
+    "readme-template": readmeTemplate,
+    "readme-languages": readmeLanguages,
+    "topics-strategy": topicsStrategy,
+    "verify-homepage": verifyHomepage,
+    "sync-direction": syncDirection,
+    "push-settings": pushSettings,
+    "no-cache": noCache,
+    report,
+    "min-score": minScore,
+    model,
+    temperature,
+    "max-tokens": maxTokens,
+    candidates,
+    "max-cost": maxCost,
+    "max-total-tokens": maxTotalTokens,
+    "generation-mode": generationMode,
+    "base-url": baseUrl,
+    ...rest
+  } = values;
+  return {
+    ...rest,
+    command,
+    provider,
+    baseUrl: baseUrl || process.env.LLM_BASE_URL,
+    llmSettings: parseLlmSettings({
+      model: process.env.LLM_MODEL ? [process.env.LLM_MODEL, ...model] : model,
+      temperature,
+      maxTokens,
+      candidates,
+    }),
+    planPath: commandArgs[0],
+    rollbackTarget: command === "rollback" ? commandArgs[0] : null,
+    owners: owner.flatMap((value) => value.split(",")).map((login) => login.trim()).filter((login) => login.length > 0),
+    dryRun,
+    commitMode,
+    readmeMode,
+    readmeTemplate,
+    readmeLanguages: readmeLanguages !== undefined ? parseLanguageList(readmeLanguages) : null,
+    topicsStrategy,
+    verifyHomepage,
+    syncDirection,
+    generationMode,
+    pushSettings,
+    noCache,
+    reports: report,
+    minScore: minScore !== undefined ? parseScore(minScore) : null,
+    maxCost: maxCost !== undefined ? parseMaxCost(maxCost) : null,
+    maxTotalTokens: maxTotalTokens !== undefined ? parseMaxTotalTokens(maxTotalTokens) : null,
+    repos: [...new Set(repos)],
+    concurrency,
+    fields: values.fields !== undefined ? parseFieldList(values.fields) : null,
+  };
+}
+
+function parseLanguageList(value) {
+  const languages = value
+    .split(",")
+    .map((code) => code.trim())
+    .filter((code) => code.length > 0);
+  for (const code of languages) {
+    const problem = validateLanguage(code);
+    if (problem) {
+      throw new Error(`--readme-languages: "${code}" ${problem}`);
+    }
+  }
+  return languages;
+}
+
+function parseScore(value) {
+  const score = Number(value);
+  if (!Number.isInteger(score) || score < 0 || score > 100) {
+    throw new Error(`--min-score must be an integer between 0 and 100, got "${value}"`);
+  }
+  return score;
+}
+
+function parseMaxCost(value) {
+  const cost = Number(value.replace(/^\$/, ""));
+  if (value.trim() === "" || !Number.isFinite(cost) || cost <= 0) {
+    throw new Error(`--max-cost must be a positive amount of US dollars, got "${value}"`);
+  }
+  return cost;
+}
+
+function parseMaxTotalTokens(value) {
+  const tokens = Number(value);
+  if (!Number.isInteger(tokens) || tokens < 1) {
+    throw new Error(`--max-total-tokens must be a positive integer, got "${value}"`);
+  }
+  return tokens;
+}
+
+function parseFieldList(value) {
+  const names = value
+    .split(",")
+    .map((f) => f.trim())
+    .filter((f) => f.length > 0);
+
+  const unknown = names.filter((f) => !normalizeField(f));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown field(s) in --fields: ${unknown.join(", ")}. Valid fields: ${Object.keys(FIELD_LABELS).join(", ")}`
+    );
+  }
+
+  return [...new Set(names.map(normalizeField))];
+}
+
+// Collect --model/--temperature/--max-tokens/--candidates values. "field=value" targets a single field,
+// a bare value applies to every field.
+function parseLlmSettings({ model, temperature, maxTokens, candidates }) {
+  const settings = { fields: {} };
+
+  const collect = (flag, key, values, convert) => {
+    for (const raw of values) {
+      const match = /^([\w.-]+)=(.*)$/.exec(raw);
+      const field = match ? normalizeField(match[1]) : null;
+      if (match && !field) {
+        throw new Error(`Unknown field "${match[1]}" in ${flag}. Valid fields: ${Object.keys(FIELD_LABELS).join(", ")}`);
+      }
+
+      const value = convert(match ? match[2] : raw);
+      if (field) {
+        settings.fields[field] = { ...settings.fields[field], [key]: value };
+      } else {
+        settings[key] = value;
+      }
+    }
+  };
+
+  collect("--model", "model", model, (value) => {
+    if (!value) throw new Error("--model needs a model name");
+    return value;
+  });
+  collect("--temperature", "temperature", temperature, (value) => {
+    const number = Number(value);
+    if (value === "" || Number.isNaN(number) || number < 0 || number > 2) {
+      throw new Error(`--temperature must be a number between 0 and 2, got "${value}"`);
+    }
+    return number;
+  });
+  collect("--max-tokens", "maxTokens", maxTokens, (value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error(`--max-tokens must be a positive integer, got "${value}"`);
+    }
+    return number;
+  });
+  collect("--candidates", "candidates", candidates, (value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > MAX_CANDIDATES) {
+      throw new Error(`--candidates must be an integer between 1 and ${MAX_CANDIDATES}, got "${value}"`);
+    }
+    return number;
+  });
+
+  return settings;
+}
+
+// github: false makes the GitHub token optional; it is then only read from the environment
+async function resolveTokens(interactive, { provider = null, github = true } = {}) {
+  let githubToken = process.env.GITHUB_TOKEN;
+
+  if (githubToken) {
+    log(chalk.green("✓") + " GitHub token loaded from environment");
+  } else if (github && !interactive) {
+    throw new Error("GITHUB_TOKEN is not set. Add it to the environment or .env file to run without prompts.");
+  } else if (github) {
+    githubToken = await password({
+      message: "Enter your GitHub Personal Access Token:",
+      mask: "*",
+    });
+  }
+
+  // Commands that don't generate anything, and providers without keys, need no LLM key
+  const apiKeyEnv = provider ? PROVIDERS[provider].apiKeyEnv : null;
+  if (!apiKeyEnv) {
+    return { githubToken, llmApiKey: provider ? process.env.LLM_API_KEY : undefined };
+  }
+
+  const { label } = PROVIDERS[provider];
+  let llmApiKey = process.env[apiKeyEnv];
+
+  if (llmApiKey) {
+    log(chalk.green("✓") + ` ${label} API key loaded from environment`);
+  } else if (!interactive) {
+    throw new Error(`${apiKeyEnv} is not set. Add it to the environment or .env file to run without prompts.`);
+  } else {
+    llmApiKey = await password({
+      message: `Enter your ${label} API Key:`,
+      mask: "*",
+    });
+  }
+
+  return { githubToken, llmApiKey };
+}
+
+// Tell the user why a request is being retried, since waiting out a rate limit can take minutes
+function reportRetry(service) {
+  return ({ reason, delay, attempt, retries }) => {
+    const seconds = Math.ceil(delay / 1000);
+    const wait = seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+    log(chalk.yellow("  ⏳") + ` ${service}: ${reason}; retrying in ${wait} (retry ${attempt} of ${retries})`);
+  };
+}
+
+// Print the run result as JSON when requested and map its status to an exit code
+function reportResult(result, status) {
+  result.status = status;
+  // Commands that make no LLM requests have no usage to report
+  if (usage.summarize().requests > 0) {
+    displayUsage();
+    result.usage = usageReport();
+  }
+  if (jsonOutput) {
+    console.log(JSON.stringify(result, null, 2));
+  }
+
+  if (status === "applied" || status === "planned" || status === "audited" || status === "listed") return EXIT_CODES.APPLIED;
+  if (status === "nothing-to-do" || status === "stale") return EXIT_CODES.NOTHING_TO_DO;
+  return EXIT_CODES.ERROR;
+}
+
+// Layer the repository's own .repometarc between the user/project config and command-line flags
+async function resolveRepositoryConfig(octokit, repo, baseConfig, overrides, { verbose = true } = {}) {
+  const repoConfig = await loadCachedRepositoryConfig(octokit, repo);
+  if (repoConfig && verbose) {
+    log(chalk.green("✓") + ` Config loaded from ${repo.full_name}'s .repometarc`);
+  }
+  return layerRepositoryConfig(baseConfig, repoConfig, overrides, `${repo.full_name}:.repometarc`);
+}
+
+// Merge a repository's own config between the others. A README template it names (and the flags
+// don't replace) is marked, so it is only ever read from the repository itself.
+function layerRepositoryConfig(baseConfig, repoConfig, overrides, source) {
+  if (repoConfig) {
+    checkRepositoryConfig(repoConfig, source);
+  }
+  const config = mergeConfig(baseConfig, repoConfig, overrides);
+  if (repoConfig?.readme?.template && !overrides.readme?.template) {
+    config.readme = { ...config.readme, templateInRepository: true };
+  }
+  return config;
+}
+
+// A repository's .repometarc only changes with its files, so it is cached by the tree sha
+async function loadCachedRepositoryConfig(octokit, repo) {
+  if (!cache.enabled) {
+    return loadRepositoryConfig(octokit, repo);
+  }
+
+  let treeSha;
+  try {
+    treeSha = await getTreeSha(octokit, repo);
+  } catch (error) {
+    // Empty repositories have no branch yet
+    return loadRepositoryConfig(octokit, repo);
+  }
+  return cache.remember("config", { repository: repo.full_name, treeSha }, () => loadRepositoryConfig(octokit, repo));
+}
+
+async function fetchRepository(octokit, fullName) {
+  const [owner, repo] = fullName.split("/");
+  // A 404 is explained by the client, including when the token can't see private repositories
+  const { data } = await octokit.rest.repos.get({ owner, repo });
+  return data;
+}
+
+// Fetch every page of a list endpoint
+async function fetchPages(method, params) {
+  let all = [];
+  let page = 1;
+  while (true) {
+    const { data } = await method({ ...params, per_page: 100, page });
+    if (data.length === 0) break;
+    all = all.concat(data);
+    page++;
+  }
+  return all;
+}
+
+// Fetch the repositories to browse: those of the given owners, or every repository the token can see
+// (including those of the user's organizations). Listings are reused from the cache for ttl seconds.
+async function fetchAllRepositories(octokit, { owners = [], ttl = 0 } = {}) {
+  const { data: viewer } = await octokit.rest.users.getAuthenticated();
+  return cache.remember(
+    "repos",
+    { login: viewer.login, owners },
+    async () => {
+      if (owners.length === 0) {
+        return fetchPages(octokit.rest.repos.listForAuthenticatedUser, { sort: "updated" });
+      }
+
+      const repos = [];
+      for (const owner of owners) {
+        repos.push(...(await fetchOwnerRepositories(octokit, owner)));
+      }
+      return repos;
+    },
+    { ttl }
+  );
+}
+
+async function fetchOwnerRepositories(octokit, owner) {
+  try {
+    return await fetchPages(octokit.rest.repos.listForOrg, { org: owner, type: "all", sort: "updated" });
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+
+  // Not an organization: the user's own repositories (including private ones), or another user's public ones
+  const mine = (await fetchPages(octokit.rest.repos.listForAuthenticatedUser, { sort: "updated" })).filter(
+    (repo) => repo.owner.login.toLowerCase() === owner.toLowerCase()
+  );
+  if (mine.length > 0) {
+    return mine;
+  }
+  try {
+    return await fetchPages(octokit.rest.repos.listForUser, { username: owner, sort: "updated" });
+  } catch (error) {
+    if (error.status === 404) {
+      throw new Error(`Owner ${owner} not found.`);
+    }
+    throw error;
+  }
+}
+
+// Organizations the user belongs to; their repositories may not all appear in the user's own listing
+async function fetchOrganizations(octokit) {
+  try {
+    return (await fetchPages(octokit.rest.orgs.listForAuthenticatedUser, {})).map((org) => org.login);
+  } catch (error) {
+    // Tokens without the read:org scope can't list memberships
+    return [];
+  }
+}
+
+// Format relative time for "Last Updated" column
+function formatRelativeTime(dateString) {
+  const now = new Date();
+  const date = new Date(dateString);
+  const diffMs = now - date;
+  const diffDays = Math.floor(diffMs / (1000 * 60 * 60 * 24));
+
+  if (diffDays === 0) return "today";
+  if (diffDays === 1) return "yesterday";
+  if (diffDays < 7) return `${diffDays}d ago`;
+  if (diffDays < 30) return `${Math.floor(diffDays / 7)}w ago`;
+  if (diffDays < 365) return `${Math.floor(diffDays / 30)}mo ago`;
+  return `${Math.floor(diffDays / 365)}y ago`;
+}
+
+// Truncate to width with an ellipsis, then pad
+function fitText(text, width) {
+  return (text.length > width ? text.substring(0, width - 1) + "…" : text).padEnd(width);
+}
+
+// Display one page of repositories as a table that fits the terminal width
+function displayRepositoriesTable(repos, { page = 0, pageSize = 15, width = process.stdout.columns || 120 } = {}) {
+  // Owners are only shown when the list spans several of them
+  const showOwner = new Set(repos.map((repo) => repo.owner.login)).size > 1;
+  const displayName = (repo) => (showOwner ? repo.full_name : repo.name);
+
+  // Box drawing characters for better visual styling
+  const box = {
+    topLeft: "┌", topRight: "┐", bottomLeft: "└", bottomRight: "┘",
+    horizontal: "─", vertical: "│", teeDown: "┬", teeUp: "┴", teeRight: "├", teeLeft: "┤", cross: "┼"
+  };
+
+  // Column definitions; on narrow terminals the lowest `keep` columns are dropped first
+  const maxNameLen = Math.min(showOwner ? 40 : 30, Math.max(4, ...repos.map((r) => displayName(r).length + (r.archived ? 2 : 0))));
+  const maxLangLen = Math.min(15, Math.max(8, ...repos.map((r) => (r.language || "--").length)));
+  let columns = [
+    {
+      label: " Name",
+      width: maxNameLen + 2,
+      keep: 9,
+      cell: (repo) =>
+        repo.archived
+          ? chalk.red(fitText(` ⊘ ${displayName(repo)}`, maxNameLen + 2))
+          : chalk.bold.cyan(fitText(` ${displayName(repo)}`, maxNameLen + 2)),
+    },
+    {
+      label: "Language",
+      width: maxLangLen + 2,
+      keep: 5,
+      cell: (repo) => (repo.language ? chalk.blue(fitText(repo.language, maxLangLen + 2)) : chalk.gray(fitText("--", maxLangLen + 2))),
+    },
+    { label: "★ Stars", width: 7, keep: 3, cell: (repo) => chalk.yellow(fitText(String(repo.stargazers_count), 7)) },
+    { label: "⑂ Forks", width: 7, keep: 1, cell: (repo) => chalk.magenta(fitText(String(repo.forks_count), 7)) },
+    { label: "Updated", width: 12, keep: 4, cell: (repo) => chalk.green(fitText(formatRelativeTime(repo.pushed_at), 12)) },
+    {
+      label: "Visibility",
+      width: 10,
+      keep: 2,
+      cell: (repo) => {
+        if (repo.archived) return chalk.red(fitText("archived", 10));
+        return repo.private ? chalk.yellow(fitText("private", 10)) : chalk.green(fitText("public", 10));
+      },
+    },
+  ];
+
+  // The description takes whatever width is left
+  const minDescWidth = 16;
+  const used = () => columns.reduce((total, col) => total + col.width + 1, 1);
+  while (width - used() - 1 < minDescWidth && columns.length > 1) {
+    const weakest = columns.reduce((a, b) => (b.keep < a.keep ? b : a));
+    columns = columns.filter((col) => col !== weakest);
+  }
+  const descWidth = Math.max(minDescWidth, Math.min(60, width - used() - 1));
+  columns.push({
+    label: "Description",
+    width: descWidth,
+    cell: (repo) =>
+      repo.description ? chalk.gray(fitText(repo.description, descWidth)) : chalk.dim.gray(fitText("No description", descWidth)),
+  });
+
+  const totalWidth = used() - 2;
+  const rule = (left, join, right) => chalk.dim(left + columns.map((col) => box.horizontal.repeat(col.width)).join(join) + right);
+  const fullRule = (left, right) => chalk.dim(left + box.horizontal.repeat(totalWidth) + right);
+  const fullRow = (text) => chalk.dim(box.vertical) + chalk.dim.italic(fitText(text, totalWidth)) + chalk.dim(box.vertical);
+
+  log(rule(box.topLeft, box.teeDown, box.topRight));
+  log(
+    chalk.dim(box.vertical) +
+    columns.map((col) => chalk.bold.white(fitText(col.label, col.width))).join(chalk.dim(box.vertical)) +
+    chalk.dim(box.vertical)
+  );
+
+  if (repos.length === 0) {
+    log(rule(box.teeRight, box.teeUp, box.teeLeft));
+    log(fullRow("  No repositories match the filters"));
+    log(fullRule(box.bottomLeft, box.bottomRight));
+    return;
+  }
+
+  log(rule(box.teeRight, box.cross, box.teeLeft));
+  repos.slice(page * pageSize, (page + 1) * pageSize).forEach((repo) => {
+    log(chalk.dim(box.vertical) + columns.map((col) => col.cell(repo)).join(chalk.dim(box.vertical)) + chalk.dim(box.vertical));
+  });
+
+  const pages = Math.ceil(repos.length / pageSize);
+  if (pages > 1) {
+    log(rule(box.teeRight, box.teeUp, box.teeLeft));
+    log(fullRow(`  Page ${page + 1} of ${pages} · ${repos.length} repositories`));
+    log(fullRule(box.bottomLeft, box.bottomRight));
+  } else {
+    log(rule(box.bottomLeft, box.teeUp, box.bottomRight));
+  }
+}
+
+// Helper function to format repository for search results
+function formatRepoChoice(repo) {
+  // Fixed column widths for alignment
+  const nameWidth = 28;
+  const langWidth = 12;
+
+  // Repository name (padded for alignment)
+  const name = repo.name.length > nameWidth - 1
+    ? repo.name.substring(0, nameWidth - 2) + "…"
+    : repo.name;
+  const namePadded = chalk.bold.cyan(name.padEnd(nameWidth));
+
+  // Language tag
+  const langText = repo.language || "—";
+  const language = repo.language
+    ? chalk.blue(langText.padEnd(langWidth))
+    : chalk.dim.gray(langText.padEnd(langWidth));
+
+  // Stats (stars and forks)
+  const starsText = `★${String(repo.stargazers_count).padStart(4)}`;
+  const forksText = `⑂${String(repo.forks_count).padStart(4)}`;
+  const stats = chalk.yellow(starsText) + " " + chalk.magenta(forksText);
+
+  // Visibility indicator; archived repositories are read-only
+  let visibility = repo.private
+    ? chalk.yellow("●")
+    : chalk.green("○");
+  if (repo.archived) {
+    visibility = chalk.red("⊘");
+  }
+
+  // Description (truncated)
+  const descText = repo.description
+    ? repo.description.substring(0, 40) + (repo.description.length > 40 ? "…" : "")
+    : "No description";
+  const description = repo.description
+    ? chalk.gray(descText)
+    : chalk.dim.gray(descText);
+
+  return `${visibility} ${namePadded} ${language} ${stats}  ${chalk.dim("│")} ${description}`;
+}
+
+// Choice for a repository in the pickers; archived repositories can't be updated, so they can't be picked
+function repoChoice(repo, extra = {}) {
+  return {
+    name: formatRepoChoice(repo),
+    value: repo,
+    disabled: repo.archived ? "(archived)" : false,
+    ...extra,
+  };
+}
+
+// Fetch the repositories of the configured owners (or let the user pick one), keeping those allowed
+// by the repos.include/exclude globs
+async function listRepositories(octokit, config) {
+  // Fetch repositories
+  log("\n" + chalk.yellow("⏳") + " Fetching your repositories...\n");
+
+  let fetchedRepos;
+  if (config.repos.owners.length > 0) {
+    fetchedRepos = await fetchAllRepositories(octokit, { owners: config.repos.owners, ttl: config.cache.listTtl });
+  } else {
+    fetchedRepos = await fetchAllRepositories(octokit, { ttl: config.cache.listTtl });
+    const owner = await pickOwner(octokit, fetchedRepos);
+    if (owner) {
+      fetchedRepos = await fetchAllRepositories(octokit, { owners: [owner], ttl: config.cache.listTtl });
+    }
+  }
+
+  const allRepos = fetchedRepos.filter((repo) => isRepositoryIncluded(repo, config.repos));
+
+  if (allRepos.length === 0) {
+    log(chalk.red("✗") + " No repositories found.");
+    return null;
+  }
+
+  log(chalk.green("✓") + ` Found ${chalk.bold(allRepos.length)} repositories`);
+  if (allRepos.length < fetchedRepos.length) {
+    log(chalk.dim(`  ${fetchedRepos.length - allRepos.length} more hidden by repos.include/exclude in your config`));
+  }
+
+  return allRepos;
+}
+
+// Offer a choice of owner when the repositories span several users and organizations; null means all
+async function pickOwner(octokit, repos) {
+  const counts = new Map();
+  for (const repo of repos) {
+    counts.set(repo.owner.login, (counts.get(repo.owner.login) || 0) + 1);
+  }
+  for (const org of await fetchOrganizations(octokit)) {
+    if (!counts.has(org)) counts.set(org, null);
+  }
+  if (counts.size <= 1) {
+    return null;
+  }
+
+  return select({
+    message: chalk.cyan("Whose repositories would you like to browse?"),
+    choices: [
+      { name: `All owners ${chalk.gray(`(${repos.length})`)}`, value: null },
+      ...[...counts].map(([login, count]) => ({
+        name: `${login} ${chalk.gray(count === null ? "(organization)" : `(${count})`)}`,
+        value: login,
+      })),
+    ],
+    pageSize: 15,
+  });
+}
+
+// Show the repositories a page at a time, letting the user filter and sort them.
+// Returns the filtered, sorted list once the user is ready to pick from it.
+async function browseRepositories(repos, config) {
+  let filters = { ...config.display.filters };
+  let sort = config.display.sort;
+  let page = 0;
+
+  while (true) {
+    const visible = sortRepositories(filterRepositories(repos, filters), sort);
+    const pages = Math.max(1, Math.ceil(visible.length / config.display.pageSize));
+    page = Math.min(page, pages - 1);
+
+    log(chalk.bold.cyan("\n📋 Your Repositories: ") + chalk.dim(describeFilters(filters, sort)) + "\n");
+    displayRepositoriesTable(visible, { page, pageSize: config.display.pageSize });
+
+    const action = await select({
+      message: chalk.cyan("What next?"),
+      choices: [
+        visible.length > 0 && { name: `Pick from these ${visible.length} repositories`, value: "pick" },
+        page < pages - 1 && { name: "Next page", value: "next" },
+        page > 0 && { name: "Previous page", value: "previous" },
+        { name: "Filter…", value: "filter" },
+        { name: `Sort… ${chalk.gray(`(${REPO_SORTS[sort].label})`)}`, value: "sort" },
+      ].filter(Boolean),
+    });
+
+    if (action === "pick") return visible;
+    if (action === "next") page++;
+    if (action === "previous") page--;
+    if (action === "filter") {
+      filters = await editFilters(repos, filters);
+      page = 0;
+    }
+    if (action === "sort") {
+      sort = await select({
+        message: chalk.cyan("Sort by:"),
+        choices: Object.entries(REPO_SORTS).map(([value, { label }]) => ({ name: label, value })),
+        default: sort,
+      });
+      page = 0;
+    }
+  }
+}
+
+async function editFilters(repos, current) {
+  const filters = { ...DEFAULT_FILTERS, ...current };
+  const languages = [...new Set(repos.map((repo) => repo.language).filter(Boolean))].sort();
+  const topics = [...new Set(repos.flatMap((repo) => repo.topics || []))].sort();
+  const inclusionLabels = { include: "shown", exclude: "hidden", only: "only these" };
+
+  while (true) {
+    const filter = await select({
+      message: chalk.cyan("Change a filter:"),
+      choices: [
+        { name: `Forks: ${inclusionLabels[filters.forks]}`, value: "forks" },
+        { name: `Archived: ${inclusionLabels[filters.archived]}`, value: "archived" },
+        { name: `Visibility: ${filters.visibility}`, value: "visibility" },
+        { name: `Language: ${filters.language || "any"}`, value: "language" },
+        {
+          name: `Missing metadata: ${filters.missing ? (filters.missing === "any" ? "any field" : FIELD_LABELS[filters.missing]) : "not filtered"}`,
+          value: "missing",
+        },
+        { name: `Topic: ${filters.topic || "any"}`, value: "topic", disabled: topics.length === 0 ? "(no topics)" : false },
+        { name: "Clear all filters", value: "clear" },
+        { name: chalk.bold("Done"), value: "done" },
+      ],
+      pageSize: 10,
+    });
+
+    if (filter === "done") return filters;
+    if (filter === "clear") {
+      Object.assign(filters, DEFAULT_FILTERS);
+    } else if (filter === "forks" || filter === "archived") {
+      filters[filter] = await select({
+        message: chalk.cyan(filter === "forks" ? "Forks:" : "Archived repositories:"),
+        choices: INCLUSION_FILTERS.map((value) => ({ name: inclusionLabels[value], value })),
+        default: filters[filter],
+      });
+    } else if (filter === "visibility") {
+      filters.visibility = await select({
+        message: chalk.cyan("Visibility:"),
+        choices: VISIBILITY_FILTERS.map((value) => ({ name: value, value })),
+        default: filters.visibility,
+      });
+    } else if (filter === "language") {
+      filters.language = await select({
+        message: chalk.cyan("Language:"),
+        choices: [{ name: "any", value: null }, ...languages.map((value) => ({ name: value, value }))],
+        default: filters.language,
+        pageSize: 15,
+      });
+    } else if (filter === "missing") {
+      filters.missing = await select({
+        message: chalk.cyan("Only repositories missing:"),
+        choices: [
+          { name: "not filtered", value: null },
+          ...MISSING_FILTERS.map((value) => ({ name: value === "any" ? "any field" : FIELD_LABELS[value], value })),
+        ],
+        default: filters.missing,
+      });
+    } else if (filter === "topic") {
+      filters.topic = await search({
+        message: chalk.cyan("Topic:"),
+        source: async (input) => [
+          { name: "any", value: null },
+          ...topics.filter((topic) => !input || topic.includes(input.toLowerCase())).map((value) => ({ name: value, value })),
+        ],
+        pageSize: 15,
+      });
+    }
+  }
+}
+
+async function selectRepository(octokit, config) {
+  const allRepos = await listRepositories(octokit, config);
+  if (!allRepos) {
+    return null;
+  }
+  const visibleRepos = await browseRepositories(allRepos, config);
+
+  // Let user search and select a repository
+  log(chalk.dim("\nType to search repositories by name, owner, language, topic, or description:"));
+  log(chalk.dim("  ○/● Name                         Language     Stars Forks │ Description"));
+  log(chalk.dim("  ─────────────────────────────────────────────────────────────────────────────\n"));
+
+  const selectedRepo = await search({
+    message: chalk.cyan("Search and select a repository:"),
+    source: async (input) => {
+      const searchTerm = (input || "").toLowerCase();
+      const filtered = visibleRepos.filter((repo) => {
+        if (!searchTerm) return true;
+        return (
+          repo.full_name.toLowerCase().includes(searchTerm) ||
+          (repo.language || "").toLowerCase().includes(searchTerm) ||
+          (repo.description || "").toLowerCase().includes(searchTerm) ||
+          (repo.topics || []).some((topic) => topic.includes(searchTerm))
+        );
+      });
+      return filtered.map((repo) => repoChoice(repo));
+    },
+    pageSize: config.display.pageSize,
+  });
+
+  return selectedRepo;
+}
+
+// Archived repositories are read-only on GitHub, so every update to them fails
+function ensureWritable(repo) {
+  if (repo.archived) {
+    throw new Error(`${repo.full_name} is archived and read-only. Unarchive it on GitHub to update its metadata.`);
+  }
+}
+
+async function detectMissingFields(octokit, repo) {
+  const missing = detectMissingMetadata(repo);
+
+  // Check if README exists
+  try {
+    await octokit.rest.repos.getReadme({
+      owner: repo.owner.login,
+      repo: repo.name,
+    });
+  } catch (error) {
+    if (error.status === 404) {
+      missing.push("readme");
+    }
+  }
+
+  // Community files are looked for where GitHub looks for them
+  missing.push(...detectMissingCommunityFiles(repo, await listCommunityPaths(octokit, repo)));
+
+  return missing;
+}
+
+// README.md, community files and manifests are committed to the repository; the other fields are
+// repository settings
+function isFileField(field) {
+  return field === "readme" || FILE_SET_FIELDS.includes(field);
+}
+
+// Paths of the community files and manifests a plan or generated data would write
+function fileSetPaths(data) {
+  return FILE_SET_FIELDS.flatMap((field) => Object.keys(data[field] || {}));
+}
+
+// The current contents of the community files and manifests about to be written, by path (null for
+// new files)
+async function readCurrentFiles(repoContext, generatedData) {
+  const paths = fileSetPaths(generatedData);
+  return Object.fromEntries(await Promise.all(paths.map(async (path) => [path, await repoContext.readFile(path)])));
+}
+
+// choose: let the user pick between candidates (see --candidates); otherwise the first description
+// and the topics most candidates agree on are used
+// revising: the values are being regenerated from the user's feedback, so the homepage the repository
+// declares isn't simply found again
+async function generateMetadata(llm, repoContext, fieldsToGenerate, config, { verbose = true, choose = false, revising = false } = {}) {
+  const report = verbose ? log : () => {};
+  const generatedData = {};
+
+  // Values from the combined request; the fields it didn't answer are generated one by one below
+  const answered = {};
+  const combined = config.generation.mode === "combined" ? combinableFields(llm, fieldsToGenerate, config) : [];
+  if (combined.length > 1) {
+    report(chalk.blue("⟳") + ` Generating ${combined.map((field) => FIELD_LABELS[field]).join(", ")} in one request...`);
+    const result = await generateCombined(llm, repoContext, combined, config);
+    Object.assign(answered, result.values);
+    if (result.failed.length > 0) {
+      const labels = result.failed.map((field) => FIELD_LABELS[field]).join(", ");
+      const tries = `${result.attempts} ${result.attempts === 1 ? "try" : "tries"}`;
+      report(chalk.yellow("  ⚠") + ` No usable answer after ${tries}; the last one failed because ${result.problems.join("; ")}. Generating ${labels} separately`);
+    }
+  }
+
+  if (fieldsToGenerate.includes("description")) {
+    if (answered.description === undefined) {
+      report(chalk.blue("⟳") + " Generating description...");
+      const descriptions = await generateDescription(llm, repoContext, config);
+      answered.description = choose && descriptions.length > 1 ? await chooseDescription(descriptions) : descriptions[0];
+    }
+    generatedData.description = answered.description;
+    report(chalk.green("  ✓") + ` ${chalk.white(generatedData.description)}\n`);
+  }
+
+  if (fieldsToGenerate.includes("website")) {
+    if (answered.website === undefined) {
+      report(chalk.blue("⟳") + " Finding the homepage...");
+      answered.website = await generateWebsite(llm, repoContext, config, { detect: !revising });
+    }
+    const website = answered.website;
+    if (website.url) {
+      generatedData.website = website.url;
+      report(chalk.green("  ✓") + ` ${chalk.cyan.underline(website.url)} ${chalk.gray(`(from ${website.source})`)}\n`);
+    } else {
+      report(chalk.yellow("  ⚠") + ` No homepage set: ${website.reason}\n`);
+    }
+  }
+
+  if (fieldsToGenerate.includes("topics")) {
+    if (answered.topics === undefined) {
+      report(chalk.blue("⟳") + " Generating topics...");
+      const candidates = await generateTopics(llm, repoContext, config);
+      if (candidates.length === 1) {
+        answered.topics = candidates[0];
+      } else {
+        answered.topics = choose ? await chooseTopics(candidates) : commonTopics(candidates, repoContext.topics);
+      }
+    }
+    if (answered.topics.length > 0) {
+      generatedData.topics = answered.topics;
+      report(chalk.green("  ✓") + ` ${chalk.magenta(generatedData.topics.join(", "))}\n`);
+    } else {
+      // An empty list would remove every topic from the repository
+      report(chalk.yellow("  ⚠") + " No valid topics were generated; topics left as they are\n");
+    }
+  }
+
+  if (fieldsToGenerate.includes("readme")) {
+    if (answered.readme === undefined) {
+      report(chalk.blue("⟳") + " Generating README.md...");
+      answered.readme = await generateReadme(llm, repoContext, config);
+    }
+    const readme = answered.readme;
+    if (readme === null) {
+      report(chalk.green("  ✓") + " README.md is up to date; nothing to improve\n");
+    } else {
+      generatedData.readme = readme;
+      report(chalk.green("  ✓") + " README.md content generated\n");
+    }
+  }
+
+  for (const field of Object.keys(COMMUNITY_FILES).filter((field) => field !== "license")) {
+    if (!fieldsToGenerate.includes(field)) continue;
+    report(chalk.blue("⟳") + ` Generating ${FIELD_LABELS[field]}...`);
+    generatedData[field] = await generateCommunityFiles(llm, repoContext, field, config);
+    report(chalk.green("  ✓") + ` ${Object.keys(generatedData[field]).join(", ")} generated\n`);
+  }
+
+  if (fieldsToGenerate.includes("license")) {
+    report(chalk.blue("⟳") + " Fetching the license text...");
+    const license = await generateLicense(repoContext, config, { choose });
+    if (license.files) {
+      generatedData.license = license.files;
+      report(chalk.green("  ✓") + ` ${license.name}, copyright ${license.holder}\n`);
+    } else {
+      report(chalk.yellow("  ⚠") + ` No LICENSE written: ${license.reason}\n`);
+    }
+  }
+
+  // Last, so the manifests get this run's description, website and topics
+  if (fieldsToGenerate.includes("manifests")) {
+    const toGitHub = config.manifests.direction === "to-github";
+    report(chalk.blue("⟳") + (toGitHub ? " Reading metadata from the manifests..." : " Syncing the manifests..."));
+    const sync = await syncManifests(repoContext, generatedData, config);
+    sync.warnings.forEach((warning) => report(chalk.yellow("  ⚠") + ` ${warning}`));
+    if (toGitHub) {
+      Object.assign(generatedData, sync.values);
+      for (const [field, path] of Object.entries(sync.sources)) {
+        report(chalk.green("  ✓") + ` ${FIELD_LABELS[field]} taken from ${path}`);
+      }
+      report(Object.keys(sync.sources).length > 0 ? "" : chalk.green("  ✓") + " The repository already matches its manifests\n");
+    } else if (Object.keys(sync.files).length > 0) {
+      generatedData.manifests = sync.files;
+      report(chalk.green("  ✓") + ` ${Object.keys(sync.files).join(", ")} updated\n`);
+    } else {
+      report(chalk.green("  ✓") + " The manifests already match the metadata\n");
+    }
+  }
+
+  // After the README, so the translations follow this run's English README
+  if (fieldsToGenerate.includes("translations")) {
+    const { languages } = config.readme;
+    report(chalk.blue("⟳") + ` Translating README.md${languages.length > 0 ? ` into ${languages.join(", ")}` : ""}...`);
+    const translation = await translateReadme(llm, repoContext, generatedData.readme, config);
+    translation.warnings.forEach((warning) => report(chalk.yellow("  ⚠") + ` ${warning}`));
+    if (generatedData.readme !== undefined) {
+      generatedData.readme = translation.readme;
+    }
+    if (Object.keys(translation.files).length > 0) {
+      generatedData.translations = translation.files;
+      report(chalk.green("  ✓") + ` ${Object.keys(translation.files).join(", ")} updated\n`);
+    } else {
+      report(chalk.green("  ✓") + " The translations are up to date\n");
+    }
+  }
+
+  return generatedData;
+}
+
+function chooseDescription(descriptions) {
+  return select({
+    message: chalk.cyan("Pick a description:"),
+    choices: descriptions.map((description) => ({
+      name: `${description} ${chalk.gray(`(${description.length}/${MAX_DESCRIPTION_LENGTH})`)}`,
+      value: description,
+    })),
+  });
+}
+
+// Pick topics from every candidate list; the ones most candidates agree on start out checked
+function chooseTopics(candidates) {
+  return checkbox({
+    message: chalk.cyan("Pick topics:"),
+    choices: rankTopics(candidates).map((topic) => ({
+      name: `${topic.name} ${chalk.gray(`(${topic.count}/${candidates.length})`)}`,
+      value: topic.name,
+      checked: topic.common,
+    })),
+    validate: (selected) =>
+      selected.length === 0 ? "Pick at least one topic" : validateTopics(selected.map((choice) => choice.value)).join("; ") || true,
+  });
+}
+
+// The topics most candidate lists agree on. When they agree on none besides the existing topics
+// (which every list keeps under merge and append), the first list is used instead, so disagreeing
+// candidates never leave the repository without its new topics, or without any.
+function commonTopics(candidates, existing) {
+  const common = rankTopics(candidates).filter((topic) => topic.common).map((topic) => topic.name);
+  return common.some((topic) => !existing.includes(topic)) ? common : candidates[0];
+}
+
+// The union of candidate topic lists, most frequent first; common topics appear in most of them
+function rankTopics(candidates) {
+  const counts = new Map();
+  for (const topic of candidates.flat()) {
+    counts.set(topic, (counts.get(topic) || 0) + 1);
+  }
+  return [...counts]
+    .map(([name, count]) => ({ name, count, common: count * 2 > candidates.length }))
+    .sort((a, b) => b.count - a.count);
+}
+
+// Go through the generated fields one by one: each can be accepted, dropped, regenerated (with
+// feedback for the model) or edited by hand. Returns the values that were kept.
+async function reviewMetadata(llm, repoContext, generatedData, config, { repo, currentReadme, currentFiles = {} }) {
+  const reviewed = {};
+
+  for (const field of Object.keys(generatedData)) {
+    let value = generatedData[field];
+
+    // The manifests follow the values accepted above rather than the ones first generated
+    if (field === "manifests") {
+      const { files } = await syncManifests(repoContext, reviewed, config);
+      if (Object.keys(files).length === 0) {
+        log(chalk.dim(`  ${FIELD_LABELS[field]}: the manifests already match the accepted values\n`));
+        continue;
+      }
+      if (JSON.stringify(files) !== JSON.stringify(value)) {
+        for (const path of Object.keys(files).filter((path) => !(path in currentFiles))) {
+          currentFiles[path] = await repoContext.readFile(path);
+        }
+        value = files;
+        await displayMetadataDiff(repo, currentReadme, { [field]: value }, { paging: true, banner: false, currentFiles });
+      }
+    }
+
+    // So do the translations, when the README was changed or dropped during the review
+    if (field === "translations" && reviewed.readme !== generatedData.readme) {
+      log(chalk.blue("⟳") + " Translating the reviewed README.md...");
+      const translation = await translateReadme(llm, repoContext, reviewed.readme, config);
+      translation.warnings.forEach((warning) => log(chalk.yellow("  ⚠") + ` ${warning}`));
+      if (reviewed.readme !== undefined) {
+        reviewed.readme = translation.readme;
+      }
+      if (Object.keys(translation.files).length === 0) {
+        log(chalk.dim(`  ${FIELD_LABELS[field]}: the translations are up to date\n`));
+        continue;
+      }
+      for (const path of Object.keys(translation.files).filter((path) => !(path in currentFiles))) {
+        currentFiles[path] = await repoContext.readFile(path);
+      }
+      value = translation.files;
+      await displayMetadataDiff(repo, currentReadme, { [field]: value }, { paging: true, banner: false, currentFiles });
+    }
+
+    for (;;) {
+      const action = await select({
+        message: chalk.cyan(`${FIELD_LABELS[field]}: ${previewValue(field, value)}`),
+        choices: [
+          { name: "Accept", value: "accept" },
+          // Manifests and translations are derived from the other fields, not generated
+          ...(field === "manifests" || field === "translations"
+            ? []
+            : [
+                { name: "Regenerate", value: "regenerate" },
+                { name: "Regenerate with feedback...", value: "feedback" },
+              ]),
+          { name: isFileField(field) ? "Edit in $EDITOR" : "Edit", value: "edit" },
+          { name: "Drop (leave the current value)", value: "drop" },
+        ],
+      });
+
+      if (action === "accept") {
+        reviewed[field] = value;
+        break;
+      }
+      if (action === "drop") {
+        log(chalk.dim(`  ${FIELD_LABELS[field]} dropped\n`));
+        break;
+      }
+
+      let revised;
+      if (action === "edit") {
+        revised = await editValue(field, value, repo);
+      } else {
+        const hint =
+          action === "feedback"
+            ? await input({
+                message: chalk.cyan("What should change? (e.g. mention it's a CLI, shorter)"),
+                validate: (text) => text.trim().length > 0 || "Describe what to change",
+              })
+            : null;
+        log(chalk.blue("⟳") + ` Regenerating ${FIELD_LABELS[field]}...`);
+        revised = await regenerateField(llm, repoContext, field, value, config, hint && hint.trim());
+      }
+
+      if (revised === undefined || JSON.stringify(revised) === JSON.stringify(value)) {
+        log(chalk.yellow("  ⚠") + " No change; keeping the previous value\n");
+        continue;
+      }
+      value = revised;
+      await displayMetadataDiff(repo, currentReadme, { [field]: value }, { paging: true, banner: false, currentFiles });
+    }
+  }
+
+  return reviewed;
+}
+
+// One line describing a value in the review prompt; files are summarized
+function previewValue(field, value) {
+  if (field === "topics") return value.join(", ");
+  if (field === "readme") return chalk.gray(`${value.split("\n").length} lines, ${value.length} characters`);
+  if (isFileField(field)) {
+    return chalk.gray(Object.entries(value).map(([path, content]) => `${path} (${content.length} characters)`).join(", "));
+  }
+  return value;
+}
+
+// Let the user edit a value: files in $VISUAL/$EDITOR, one after the other, the other fields inline
+async function editValue(field, value, repo) {
+  if (field === "readme") {
+    return editor({
+      message: chalk.cyan("Edit README.md"),
+      default: value,
+      postfix: ".md",
+      waitForUserInput: false,
+      validate: (text) => text.trim().length > 0 || "The README can't be empty; drop the field instead",
+    });
+  }
+
+  if (isFileField(field)) {
+    const edited = {};
+    for (const [path, content] of Object.entries(value)) {
+      edited[path] = await editor({
+        message: chalk.cyan(`Edit ${path}`),
+        default: content,
+        postfix: extname(path) || ".txt",
+        waitForUserInput: false,
+        validate: (text) => text.trim().length > 0 || `${path} can't be empty; drop the field instead`,
+      });
+    }
+    return edited;
+  }
+
+  if (field === "topics") {
+    const splitTopics = (text) => text.split(",").map((topic) => topic.trim()).filter((topic) => topic.length > 0);
+    const text = await input({
+      message: chalk.cyan("Topics (comma-separated):"),
+      default: value.join(", "),
+      validate: (text) => validateTopics(splitTopics(text)).join("; ") || true,
+    });
+    return splitTopics(text);
+  }
+
+  if (field === "website") {
+    const url = await input({
+      message: chalk.cyan("Website:"),
+      default: value,
+      validate: (text) => checkHomepage(text.trim(), repo.full_name) || true,
+    });
+    return url.trim();
+  }
+
+  const description = await input({
+    message: chalk.cyan("Description:"),
+    default: value,
+    validate: (text) =>
+      (text.trim().length > 0 && text.trim().length <= MAX_DESCRIPTION_LENGTH) ||
+      `Enter a description of at most ${MAX_DESCRIPTION_LENGTH} characters`,
+  });
+  return description.trim();
+}
+
+// Generate one field again. The model is shown the rejected value (except files, which are too
+// long to repeat) and the user's feedback, and the cached answer is skipped.
+async function regenerateField(llm, repoContext, field, previous, config, hint) {
+  const rejected = isFileField(field) ? "" : `\n\nThis answer was rejected: ${previewValue(field, previous)}`;
+  const instruction = hint ? `Write a new answer that addresses this feedback: ${hint}` : "Write a different answer.";
+  const revise = (prompt) => `${prompt}${rejected}\n\n${instruction}`;
+  const reviser = {
+    ...llm,
+    complete: (name, prompt, settings) => llm.complete(name, revise(prompt), settings, { refresh: true }),
+    sample: (name, prompt, settings) => llm.sample(name, revise(prompt), settings, { refresh: true }),
+    structured: (name, prompt, schema, settings, options) => llm.structured(name, revise(prompt), schema, settings, { ...options, refresh: true }),
+  };
+
+  const generated = await generateMetadata(reviser, repoContext, [field], config, { verbose: false, choose: true, revising: true });
+  return generated[field];
+}
+
+function displayGeneratedSummary(generatedData, { banner = true } = {}) {
+  if (banner) {
+    log("\n" + chalk.bold.cyan("╔════════════════════════════════════════════════╗"));
+    log(chalk.bold.cyan("║") + chalk.bold.white("           Generated Metadata Summary           ") + chalk.bold.cyan("║"));
+    log(chalk.bold.cyan("╚════════════════════════════════════════════════╝") + "\n");
+  }
+
+  if (generatedData.description) {
+    log(chalk.bold.white("📝 Description:"));
+    log(chalk.gray("   " + generatedData.description) + "\n");
+  }
+  if (generatedData.website) {
+    log(chalk.bold.white("🔗 Website:"));
+    log(chalk.cyan.underline("   " + generatedData.website) + "\n");
+  }
+  if (generatedData.topics) {
+    log(chalk.bold.white("🏷️  Topics:"));
+    log("   " + generatedData.topics.map(t => chalk.magenta(`#${t}`)).join("  ") + "\n");
+  }
+  if (generatedData.readme) {
+    log(chalk.bold.white(`📄 README.md: `) + chalk.gray(`(${generatedData.readme.length} characters)`));
+    log(chalk.dim("   ─────────────────────────────────────────────"));
+    const previewLines = generatedData.readme.substring(0, 400).split("\n").slice(0, 8);
+    previewLines.forEach(line => log(chalk.gray("   " + line)));
+    log(chalk.dim("   ─────────────────────────────────────────────\n"));
+  }
+  for (const field of FILE_SET_FIELDS) {
+    if (!generatedData[field]) continue;
+    log(chalk.bold.white(`📄 ${FIELD_LABELS[field]}:`));
+    for (const [path, content] of Object.entries(generatedData[field])) {
+      log(chalk.gray(`   ${path} (${content.length} characters)`));
+    }
+    log("");
+  }
+}
+
+// Show current and generated values next to each other so overwrites are visible before applying
+// currentFiles: the current contents of community files and manifests by path (see readCurrentFiles)
+async function displayMetadataDiff(repo, currentReadme, generatedData, { paging = false, banner = true, currentFiles = {} } = {}) {
+  if (banner) {
+    log("\n" + chalk.bold.cyan("╔════════════════════════════════════════════════╗"));
+    log(chalk.bold.cyan("║") + chalk.bold.white("                Proposed Changes                ") + chalk.bold.cyan("║"));
+    log(chalk.bold.cyan("╚════════════════════════════════════════════════╝") + "\n");
+  }
+
+  if (generatedData.description !== undefined) {
+    displaySideBySide("📝 Description:", repo.description || "", generatedData.description);
+  }
+  if (generatedData.website !== undefined) {
+    displaySideBySide("🔗 Website:", repo.homepage || "", generatedData.website);
+  }
+  if (generatedData.topics !== undefined) {
+    displayTopicsDiff(repo.topics || [], generatedData.topics);
+  }
+  if (generatedData.readme !== undefined) {
+    const path = currentReadme?.path || "README.md";
+    await displayFileDiff(path, currentReadme ? currentReadme.content : null, generatedData.readme, { paging });
+  }
+  for (const field of FILE_SET_FIELDS) {
+    for (const [path, content] of Object.entries(generatedData[field] || {})) {
+      await displayFileDiff(path, currentFiles[path] ?? null, content, { paging });
+    }
+  }
+}
+
+function displaySideBySide(label, current, generated) {
+  log(chalk.bold.white(label));
+
+  if (current === generated) {
+    log(chalk.gray("   (unchanged) " + generated) + "\n");
+    return;
+  }
+
+  const width = Math.max(20, Math.floor(((process.stdout.columns || 100) - 6) / 2));
+  const left = wrapText(current || "(empty)", width);
+  const right = wrapText(generated || "(empty)", width);
+
+  log("   " + chalk.bold.red("Current".padEnd(width)) + chalk.dim(" │ ") + chalk.bold.green("Generated"));
+  log(chalk.dim("   " + "─".repeat(width) + "─┼─" + "─".repeat(width)));
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const leftText = (left[i] || "").padEnd(width);
+    log(
+      "   " +
+      (current ? chalk.red(leftText) : chalk.dim.italic(leftText)) +
+      chalk.dim(" │ ") +
+      (generated ? chalk.green(right[i] || "") : chalk.dim.italic(right[i] || ""))
+    );
+  }
+  log("");
+}
+
+// replaceAllTopics drops every topic that isn't in the new list, so removals are shown explicitly
+function displayTopicsDiff(currentTopics, generatedTopics) {
+  const added = generatedTopics.filter((topic) => !currentTopics.includes(topic));
+  const removed = currentTopics.filter((topic) => !generatedTopics.includes(topic));
+  const kept = generatedTopics.filter((topic) => currentTopics.includes(topic));
+
+  log(chalk.bold.white("🏷️  Topics:"));
+  if (added.length === 0 && removed.length === 0) {
+    log(chalk.gray("   (unchanged) ") + kept.map((t) => chalk.magenta(`#${t}`)).join("  ") + "\n");
+    return;
+  }
+  if (added.length > 0) {
+    log(chalk.green("   + added:   ") + added.map((t) => chalk.green(`#${t}`)).join("  "));
+  }
+  if (removed.length > 0) {
+    log(chalk.red("   - removed: ") + removed.map((t) => chalk.red.strikethrough(`#${t}`)).join("  "));
+  }
+  if (kept.length > 0) {
+    log(chalk.gray("   = kept:    ") + kept.map((t) => chalk.gray(`#${t}`)).join("  "));
+  }
+  log("");
+}
+
+async function displayFileDiff(path, current, generated, { paging }) {
+  const patch = structuredPatch(path, path, current || "", generated, "current", "generated", {
+    context: 3,
+  });
+
+  const lines = [];
+  let added = 0;
+  let removed = 0;
+  for (const hunk of patch.hunks) {
+    lines.push(chalk.cyan(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`));
+    for (const line of hunk.lines) {
+      if (line.startsWith("+")) {
+        added++;
+        lines.push(chalk.green(line));
+      } else if (line.startsWith("-")) {
+        removed++;
+        lines.push(chalk.red(line));
+      } else {
+        lines.push(chalk.dim(line));
+      }
+    }
+  }
+
+  log(
+    chalk.bold.white(`📄 ${path}: `) +
+    chalk.green(`+${added}`) + " " + chalk.red(`-${removed}`) +
+    chalk.gray(current === null ? " (new file)" : ` (${current.length} → ${generated.length} characters)`)
+  );
+
+  if (lines.length === 0) {
+    log(chalk.gray("   (unchanged)") + "\n");
+    return;
+  }
+
+  log(chalk.bold.red(`--- ${path} (current)`));
+  log(chalk.bold.green(`+++ ${path} (generated)`));
+  await pageLines(lines, { paging });
+  log("");
+}
+
+// Print lines a screen at a time, asking before each following page
+async function pageLines(lines, { paging }) {
+  const pageSize = Math.max(10, (process.stdout.rows || 30) - 6);
+  if (!paging || !process.stdout.isTTY || lines.length <= pageSize) {
+    lines.forEach((line) => log(line));
+    return;
+  }
+
+  for (let start = 0; start < lines.length; start += pageSize) {
+    lines.slice(start, start + pageSize).forEach((line) => log(line));
+
+    const remaining = lines.length - start - pageSize;
+    if (remaining <= 0) break;
+
+    const next = await select({
+      message: chalk.cyan(`${remaining} more lines of diff`),
+      choices: [
+        { name: "Next page", value: "next" },
+        { name: "Show the rest", value: "all" },
+        { name: "Skip the rest", value: "skip" },
+      ],
+    });
+    if (next === "all") {
+      lines.slice(start + pageSize).forEach((line) => log(line));
+      break;
+    }
+    if (next === "skip") break;
+  }
+}
+
+// Word-wrap text to the given width, hard-breaking words (e.g. URLs) that don't fit on a line
+function wrapText(text, width) {
+  const lines = [];
+  let line = "";
+
+  for (let word of text.split(/\s+/).filter((w) => w.length > 0)) {
+    while (word.length > width) {
+      if (line) {
+        lines.push(line);
+        line = "";
+      }
+      lines.push(word.substring(0, width));
+      word = word.substring(width);
+    }
+    if (!word) continue;
+
+    if (line && line.length + 1 + word.length > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+
+  return lines.length > 0 ? lines : [""];
+}
+
+// Push generated metadata to GitHub; returns the fields that were applied and any per-field errors
+async function applyMetadata(octokit, repo, generatedData, { verbose = true, commit = DEFAULT_CONFIG.commit } = {}) {
+  const report = verbose ? log : () => {};
+  const reportError = verbose ? console.error : () => {};
+  const applied = [];
+  const errors = [];
+  // What the repository had before and has now, for the journal
+  const previous = {};
+  const changed = {};
+
+  // Update repository metadata (description, website)
+  if (generatedData.description || generatedData.website) {
+    const updateData = {};
+    if (generatedData.description) {
+      updateData.description = generatedData.description;
+    }
+    if (generatedData.website) {
+      updateData.homepage = generatedData.website;
+    }
+
+    try {
+      await octokit.rest.repos.update({
+        owner: repo.owner.login,
+        repo: repo.name,
+        ...updateData,
+      });
+      applied.push(...Object.keys(updateData).map((key) => (key === "homepage" ? "website" : key)));
+      for (const [key, value] of Object.entries(updateData)) {
+        previous[key] = repo[key] || "";
+        changed[key] = value;
+      }
+      report(chalk.green("  ✓") + " Updated repository description/website");
+    } catch (error) {
+      errors.push({ field: "description/website", message: error.message });
+      reportError(chalk.red("  ✗") + ` Error updating description/website: ${error.message}`);
+    }
+  }
+
+  // Update topics; GitHub rejects the whole list if one topic breaks its rules, and an empty list
+  // would remove every topic
+  let topicProblems = [];
+  if (generatedData.topics?.length === 0) {
+    topicProblems = ["the list is empty, which would remove every topic from the repository"];
+  } else if (generatedData.topics) {
+    topicProblems = validateTopics(generatedData.topics);
+  }
+  if (topicProblems.length > 0) {
+    errors.push({ field: "topics", message: `Invalid topics: ${topicProblems.join("; ")}` });
+    reportError(chalk.red("  ✗") + ` Error updating topics: ${topicProblems.join("; ")}`);
+  } else if (generatedData.topics) {
+    try {
+      await octokit.rest.repos.replaceAllTopics({
+        owner: repo.owner.login,
+        repo: repo.name,
+        names: generatedData.topics,
+      });
+      applied.push("topics");
+      previous.topics = repo.topics || [];
+      changed.topics = generatedData.topics;
+      report(chalk.green("  ✓") + " Updated repository topics");
+    } catch (error) {
+      errors.push({ field: "topics", message: error.message });
+      reportError(chalk.red("  ✗") + ` Error updating topics: ${error.message}`);
+    }
+  }
+
+  // Commit README.md and the community files together, or propose them in a pull request when the
+  // default branch is protected
+  let pullRequest = null;
+  let committed = null;
+  const fileFields = Object.keys(generatedData).filter((field) => isFileField(field) && generatedData[field]);
+  if (fileFields.length > 0) {
+    try {
+      const files = [];
+      let existingReadme = null;
+      if (generatedData.readme) {
+        ({ data: existingReadme } = await octokit.rest.repos
+          .getReadme({
+            owner: repo.owner.login,
+            repo: repo.name,
+          })
+          .catch(() => ({ data: null })));
+        files.push({ path: existingReadme?.path || "README.md", content: generatedData.readme });
+      }
+      for (const field of fileFields.filter((field) => field !== "readme")) {
+        files.push(...Object.entries(generatedData[field]).map(([path, content]) => ({ path, content })));
+      }
+
+      // Manifests are named by file; "Sync manifests" reads oddly in a commit message
+      const labels = fileFields.map((field) =>
+        field === "manifests" ? Object.keys(generatedData.manifests).join(", ") : FIELD_LABELS[field]
+      );
+      const message =
+        fileFields.length === 1 && generatedData.readme
+          ? `${existingReadme ? "Update" : "Add"} README.md via metadata generator`
+          : `Update ${labels.join(", ")} via metadata generator`;
+      const before = await getFiles(octokit, repo, files.map((file) => file.path));
+      committed = await commitFiles(octokit, repo, files, {
+        message,
+        title: "Update repository metadata via metadata generator",
+        body: pullRequestBody(repo, generatedData, files, applied),
+        commit,
+        report,
+      });
+      pullRequest = committed.pullRequest;
+      applied.push(...fileFields);
+      previous.files = before;
+      changed.files = Object.fromEntries(files.map(({ path, content }) => [path, { sha: blobSha(content), content }]));
+    } catch (error) {
+      errors.push({ field: fileFields.join(", "), message: error.message });
+      reportError(chalk.red("  ✗") + ` Error committing ${fileFields.map((field) => FIELD_LABELS[field]).join(", ")}: ${error.message}`);
+    }
+  }
+
+  // Cached listings would show the old values until they expire
+  if (applied.length > 0) {
+    await cache.clear("repos");
+    await recordChange(repo, previous, changed, { committed, report });
+  }
+
+  return { applied, errors, pullRequest };
+}
+
+// Commit files to the default branch, or propose them in a pull request when commit.mode asks for
+// one or the default branch is protected. Returns { sha, branch, pullRequest }.
+async function commitFiles(octokit, repo, files, { message, title, body, commit, report }) {
+  const paths = files.map((file) => file.path).join(", ");
+  const viaPullRequest =
+    commit.mode === "pr" || (commit.mode === "auto" && (await isBranchProtected(octokit, repo, repo.default_branch)));
+
+  if (viaPullRequest) {
+    const pullRequest = await openOrUpdatePullRequest(octokit, repo, { branch: commit.branch, files, message, title, body });
+    report(
+      chalk.green("  ✓") +
+        ` ${pullRequest.updated ? "Updated" : "Opened"} pull request #${pullRequest.number} for ${paths}: ` +
+        chalk.cyan.underline(pullRequest.url)
+    );
+    return { sha: pullRequest.commit, branch: commit.branch, pullRequest };
+  }
+
+  const sha = await commitToBranch(octokit, repo, { branch: repo.default_branch, files, message });
+  report(chalk.green("  ✓") + ` Committed ${paths}`);
+  return { sha, branch: repo.default_branch, pullRequest: null };
+}
+
+// Journal what was changed, so it can be rolled back. The change is made by then, so a journal that
+// can't be written is only reported.
+async function recordChange(repo, previous, applied, { committed = null, rollbackOf = null, report }) {
+  try {
+    const entry = await journal.append({
+      repository: repo.full_name,
+      previous,
+      applied,
+      commit: committed && { sha: committed.sha, branch: committed.branch },
+      pullRequest: committed?.pullRequest ? { number: committed.pullRequest.number, url: committed.pullRequest.url } : null,
+      ...(rollbackOf && { rollbackOf }),
+    });
+    report(chalk.dim(`  Journal entry ${entry.id}; undo it with: node index.js rollback ${entry.id}`));
+    return entry;
+  } catch (error) {
+    console.error(chalk.yellow("  ⚠") + ` Could not write the journal (${journal.path}): ${error.message}`);
+    return null;
+  }
+}
+
+// Pull request description: the files it changes, and the repository settings updated in the same run
+function pullRequestBody(repo, generatedData, files, applied) {
+  const lines = [
+    "Generated by the GitHub Repository Metadata Generator.",
+    "",
+    "### Files",
+    "",
+    ...files.map((file) => `- \`${file.path}\``),
+  ];
+
+  const settings = [];
+  if (applied.includes("description")) {
+    settings.push(`- **Description:** ${repo.description || "_none_"} → ${generatedData.description}`);
+  }
+  if (applied.includes("website")) {
+    settings.push(`- **Homepage:** ${repo.homepage || "_none_"} → ${generatedData.website}`);
+  }
+  if (applied.includes("topics")) {
+    const current = repo.topics || [];
+    const added = generatedData.topics.filter((topic) => !current.includes(topic));
+    const removed = current.filter((topic) => !generatedData.topics.includes(topic));
+    const changes = [
+      ...added.map((topic) => `+\`${topic}\``),
+      ...removed.map((topic) => `-\`${topic}\``),
+    ];
+    settings.push(`- **Topics:** ${changes.length > 0 ? changes.join(" ") : "unchanged"}`);
+  }
+
+  if (settings.length > 0) {
+    lines.push("", "### Repository settings", "", "These were applied directly, since they are not stored in files:", "", ...settings);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Run fn over items with at most `limit` calls in flight; results keep the input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+async function runBatch(octokit, llm, options, baseConfig, overrides) {
+  const interactive = options.repos.length === 0;
+
+  let targets;
+  let overwrite;
+  if (interactive) {
+    const selection = await selectBatchRepositories(octokit, options, mergeConfig(baseConfig, overrides));
+    if (!selection) {
+      return EXIT_CODES.NOTHING_TO_DO;
+    }
+    ({ repos: targets, overwrite } = selection);
+    overrides = { ...overrides, fields: selection.fields };
+  } else {
+    // Repositories are fetched while processing so one bad name doesn't abort the rest
+    targets = options.repos;
+    // As with a single repository, fields named with --fields are regenerated even when populated
+    overwrite = options.overwrite || options.fields !== null;
+  }
+
+  // Contexts aren't read yet, so each repository is taken to fill the context budget
+  const config = mergeConfig(baseConfig, overrides);
+  const planned = estimateRequests(llm, config.fields, config, { tokens: config.context.tokenBudget, currentReadme: null });
+  displayEstimate(
+    planned.map((request) => ({
+      ...request,
+      requests: request.requests * targets.length,
+      promptTokens: request.promptTokens * targets.length,
+      completionTokens: request.completionTokens * targets.length,
+    }))
+  );
+
+  let apply = options.yes && !options.dryRun;
+  if (!apply && interactive && !options.dryRun) {
+    apply = await confirm({
+      message: chalk.cyan(`Generate and apply metadata for ${targets.length} repositories?`),
+      default: true,
+    });
+    if (!apply) {
+      log(chalk.yellow("⚠") + " Changes cancelled.");
+      return EXIT_CODES.NOTHING_TO_DO;
+    }
+  }
+
+  // Progress is saved after every repository, so a run cut short by a rate limit or a crash can
+  // be resumed. The state is kept even with --no-cache, and only for the same batch.
+  const runs = createCache({ dir: cache.dir });
+  const runKey = {
+    repositories: targets.map((target) => (typeof target === "string" ? target : target.full_name)),
+    fields: overrides.fields ?? null,
+    overwrite,
+    apply,
+    dryRun: options.dryRun,
+  };
+  const previous = (await runs.get("runs", runKey))?.records ?? [];
+  const finished = options.resume ? previous.filter((record) => record.failed.length === 0) : [];
+  if (finished.length > 0) {
+    log(chalk.green("✓") + ` Resuming: ${chalk.bold(finished.length)} repositories were finished by the interrupted run`);
+  } else if (!options.resume && previous.length > 0) {
+    log(chalk.dim("  An earlier run of this batch didn't finish; pass --resume to skip the repositories it finished."));
+  }
+
+  const pending = targets.filter((target, index) => !finished.some((record) => record.repository === runKey.repositories[index]));
+  log("\n" + chalk.yellow("⏳") + ` Processing ${pending.length} repositories (${options.concurrency} at a time)...\n`);
+
+  // Saves are chained so a slow write never overwrites a newer one
+  let saving = Promise.resolve();
+  const processed = await mapWithConcurrency(pending, options.concurrency, async (target) => {
+    const record = await processRepository(octokit, llm, target, {
+      baseConfig,
+      overrides,
+      overwrite,
+      apply,
+      dryRun: options.dryRun,
+    });
+    record.usage = usage.summarize((request) => request.repository === record.repository);
+    logRecord(record);
+    if (record.failed.length === 0) {
+      finished.push(record);
+      saving = saving.then(() => runs.set("runs", runKey, { records: finished }));
+    }
+    return record;
+  });
+  await saving;
+
+  const records = runKey.repositories
+    .map((name) => finished.find((record) => record.repository === name) ?? processed.find((record) => record.repository === name))
+    .filter(Boolean);
+  const incomplete = records.some((record) => record.failed.length > 0);
+  if (!incomplete) {
+    await runs.delete("runs", runKey);
+  }
+
+  // Plan entries are written to the plan file, not repeated in the run result
+  const planEntries = records.filter((record) => record.plan).map((record) => record.plan);
+  records.forEach((record) => delete record.plan);
+
+  displayBatchSummary(records);
+
+  if (options.dryRun) {
+    if (planEntries.length > 0) {
+      await writePlan(options.out, planEntries);
+      log(chalk.green("✓") + ` Plan for ${planEntries.length} repositories written to ${chalk.bold(options.out)}`);
+      log(chalk.dim(`  Review it, then apply it with: node index.js apply ${options.out}\n`));
+    }
+  } else if (!apply) {
+    log(chalk.yellow("⚠") + " Changes not applied. Pass --yes to apply them.");
+  }
+  if (incomplete) {
+    log(chalk.dim("  Rerun the same command with --resume to retry only the repositories that failed."));
+  }
+
+  return reportResult({ status: null, repositories: records }, batchStatus(records));
+}
+
+// Overall status of a batch: any failure is an error, otherwise whether anything was applied or planned
+function batchStatus(records) {
+  if (records.some((record) => record.failed.length > 0)) return "error";
+  if (records.some((record) => record.changed.length > 0)) return "applied";
+  if (records.some((record) => record.status === "planned")) return "planned";
+  return "nothing-to-do";
+}
+
+// One progress line per repository as batch results come in
+function logRecord(record) {
+  if (record.failed.length > 0) {
+    log(chalk.red("  ✗") + ` ${chalk.bold(record.repository)} ${chalk.red(record.failed.map((f) => f.message).join("; "))}`);
+  } else if (record.changed.length > 0) {
+    const pullRequest = record.pullRequest ? ` (pull request ${record.pullRequest.url})` : "";
+    log(chalk.green("  ✓") + ` ${chalk.bold(record.repository)} ${chalk.gray(`updated ${record.changed.join(", ")}${pullRequest}`)}`);
+  } else if (record.status === "preview" || record.status === "planned") {
+    log(chalk.blue("  ⟳") + ` ${chalk.bold(record.repository)} ${chalk.gray(`generated ${Object.keys(record.generated).join(", ")}`)}`);
+  } else {
+    log(chalk.dim("  –") + ` ${chalk.bold(record.repository)} ${chalk.gray("nothing to generate")}`);
+  }
+}
+
+async function selectBatchRepositories(octokit, options, config) {
+  const listedRepos = await listRepositories(octokit, config);
+  if (!listedRepos) {
+    return null;
+  }
+  const visibleRepos = await browseRepositories(listedRepos, config);
+  // Archived repositories can't be updated, so shortcuts never select them
+  const allRepos = visibleRepos.filter((repo) => !repo.archived);
+
+  const shortcut = await select({
+    message: chalk.cyan("How would you like to pick repositories?"),
+    choices: [
+      { name: "Pick repositories manually", value: null },
+      // Manifests and translations are never missing
+      ...Object.entries(FIELD_LABELS)
+        .filter(([field]) => field !== "manifests" && field !== "translations")
+        .map(([field, label]) => ({
+          name: `Select all repositories missing ${label}`,
+          value: field,
+        })),
+    ],
+  });
+
+  let preselected = [];
+  if (shortcut && !MISSING_FILTERS.includes(shortcut)) {
+    // Files aren't part of the listing, so each repository has to be checked
+    log("\n" + chalk.yellow("⏳") + ` Checking which repositories have ${FIELD_LABELS[shortcut]}...\n`);
+    const missingByRepo = await mapWithConcurrency(allRepos, options.concurrency, (repo) =>
+      detectMissingFields(octokit, repo)
+    );
+    preselected = allRepos.filter((_, index) => missingByRepo[index].includes(shortcut));
+  } else if (shortcut) {
+    preselected = allRepos.filter((repo) => detectMissingMetadata(repo).includes(shortcut));
+  }
+
+  if (shortcut) {
+    log(chalk.green("✓") + ` ${chalk.bold(preselected.length)} repositories are missing ${FIELD_LABELS[shortcut]}\n`);
+  }
+
+  const repos = await checkbox({
+    message: chalk.cyan("Select repositories to update:"),
+    choices: visibleRepos.map((repo) => repoChoice(repo, { checked: preselected.includes(repo) })),
+    pageSize: config.display.pageSize,
+  });
+
+  if (repos.length === 0) {
+    log(chalk.yellow("⚠") + " No repositories selected. Exiting.");
+    return null;
+  }
+
+  const fields = await checkbox({
+    message: chalk.cyan("Select which fields to generate:"),
+    choices: Object.entries(FIELD_LABELS).map(([field, label]) => ({
+      name: label,
+      value: field,
+      checked: options.fields
+        ? options.fields.includes(field)
+        : shortcut
+          ? field === shortcut
+          : config.fields.includes(field),
+    })),
+  });
+
+  if (fields.length === 0) {
+    log(chalk.yellow("⚠") + " No fields selected. Exiting.");
+    return null;
+  }
+
+  let overwrite = options.overwrite;
+  if (!overwrite) {
+    overwrite = await confirm({
+      message: chalk.cyan("Also regenerate fields that are already populated?"),
+      default: false,
+    });
+  }
+
+  return { repos, fields, overwrite };
+}
+
+// Generate (and optionally apply) metadata for one repository; errors are recorded, never thrown
+async function processRepository(octokit, llm, target, { baseConfig, overrides, overwrite, apply, dryRun = false }) {
+  const record = {
+    repository: typeof target === "string" ? target : target.full_name,
+    status: null,
+    changed: [],
+    skipped: [],
+    failed: [],
+    context: [],
+    generated: {},
+  };
+
+  try {
+    // Once the budget is spent, the remaining repositories fail and are left for --resume
+    usage.check();
+    const repo = typeof target === "string" ? await fetchRepository(octokit, target) : target;
+    ensureWritable(repo);
+    const config = await resolveRepositoryConfig(octokit, repo, baseConfig, overrides, { verbose: false });
+    const { fields } = config;
+
+    const missing = await detectMissingFields(octokit, repo);
+    const fieldsToGenerate = overwrite ? fields : fields.filter((field) => needsField(field, missing));
+    record.skipped = fields.filter((field) => !fieldsToGenerate.includes(field));
+
+    if (fieldsToGenerate.length === 0) {
+      record.status = "up-to-date";
+      return record;
+    }
+
+    const repoContext = await getRepositoryContext(octokit, repo, config, { verbose: false });
+    record.context = summarizeSources(repoContext);
+    record.generated = await generateMetadata(llm.forRepository(repo.full_name), repoContext, fieldsToGenerate, config, { verbose: false });
+    if (Object.keys(record.generated).length === 0) {
+      record.status = "up-to-date";
+      return record;
+    }
+
+    if (dryRun) {
+      record.plan = await createPlanEntry(octokit, repo, record.generated, repoContext);
+      record.status = "planned";
+      return record;
+    }
+
+    if (!apply) {
+      record.status = "preview";
+      return record;
+    }
+
+    const { applied, errors, pullRequest } = await applyMetadata(octokit, repo, record.generated, {
+      verbose: false,
+      commit: config.commit,
+    });
+    record.changed = applied;
+    record.failed = errors;
+    if (pullRequest) {
+      record.pullRequest = pullRequest;
+    }
+  } catch (error) {
+    record.failed.push({ field: "repository", message: error.message });
+  }
+
+  if (record.failed.length === 0) {
+    record.status = "applied";
+  } else {
+    record.status = record.changed.length > 0 ? "partial" : "failed";
+  }
+  return record;
+}
+
+// Display a per-repository summary of a batch run
+function displayBatchSummary(records) {
+  const box = {
+    topLeft: "┌", topRight: "┐", bottomLeft: "└", bottomRight: "┘",
+    horizontal: "─", vertical: "│", teeDown: "┬", teeUp: "┴", teeRight: "├", teeLeft: "┤", cross: "┼"
+  };
+
+  const cols = {
+    repo: Math.min(40, Math.max(12, ...records.map((r) => r.repository.length))) + 2,
+    status: 12,
+    changed: 28,
+    skipped: 28,
+    failed: 28,
+  };
+
+  const fit = (text, width) => {
+    const value = ` ${text}`;
+    return value.length > width ? value.substring(0, width - 1) + "…" : value.padEnd(width);
+  };
+
+  const border = (left, join, right) =>
+    chalk.dim(left + Object.values(cols).map((w) => box.horizontal.repeat(w)).join(join) + right);
+
+  const statusColors = {
+    applied: chalk.green,
+    planned: chalk.blue,
+    preview: chalk.blue,
+    partial: chalk.yellow,
+    stale: chalk.red,
+    failed: chalk.red,
+    "up-to-date": chalk.gray,
+  };
+
+  log("\n" + chalk.bold.cyan("📊 Batch Summary:\n"));
+  log(border(box.topLeft, box.teeDown, box.topRight));
+  log(
+    chalk.dim(box.vertical) +
+    [fit("Repository", cols.repo), fit("Status", cols.status), fit("Changed", cols.changed), fit("Skipped", cols.skipped), fit("Failed", cols.failed)]
+      .map((h) => chalk.bold.white(h))
+      .join(chalk.dim(box.vertical)) +
+    chalk.dim(box.vertical)
+  );
+  log(border(box.teeRight, box.cross, box.teeLeft));
+
+  records.forEach((record) => {
+    const cells = [
+      chalk.bold.cyan(fit(record.repository, cols.repo)),
+      (statusColors[record.status] || chalk.white)(fit(record.status, cols.status)),
+      chalk.green(fit(record.changed.join(", ") || "--", cols.changed)),
+      chalk.gray(fit(record.skipped.join(", ") || "--", cols.skipped)),
+      chalk.red(fit(record.failed.map((f) => f.field).join(", ") || "--", cols.failed)),
+    ];
+    log(chalk.dim(box.vertical) + cells.join(chalk.dim(box.vertical)) + chalk.dim(box.vertical));
+  });
+
+  log(border(box.bottomLeft, box.teeUp, box.bottomRight));
+
+  const failures = records.filter((record) => record.failed.length > 0);
+  if (failures.length > 0) {
+    log("\n" + chalk.bold.red("Failures:"));
+    failures.forEach((record) => {
+      record.failed.forEach((failure) => {
+        log(chalk.red("  ✗") + ` ${record.repository} (${failure.field}): ${failure.message}`);
+      });
+    });
+  }
+
+  const counts = Object.entries(statusColors)
+    .map(([status, color]) => [color, status, records.filter((record) => record.status === status).length])
+    .filter(([, , count]) => count > 0)
+    .map(([color, status, count]) => color(`${count} ${status}`));
+  log("\n" + counts.join(", ") + "\n");
+}
+
+// Fetch the repository README, or null when it has none
+async function getReadmeInfo(octokit, repo) {
+  try {
+    const { data } = await octokit.rest.repos.getReadme({
+      owner: repo.owner.login,
+      repo: repo.name,
+    });
+    return {
+      path: data.path,
+      sha: data.sha,
+      content: Buffer.from(data.content, "base64").toString(),
+    };
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// The { sha, content } of each path on the default branch, or null for files that don't exist
+async function getFiles(octokit, repo, paths) {
+  const files = await Promise.all(
+    paths.map(async (path) => {
+      try {
+        const { data } = await octokit.rest.repos.getContent({ owner: repo.owner.login, repo: repo.name, path });
+        return [path, { sha: data.sha, content: Buffer.from(data.content, "base64").toString() }];
+      } catch (error) {
+        if (error.status === 404) return [path, null];
+        throw error;
+      }
+    })
+  );
+  return Object.fromEntries(files);
+}
+
+// The blob sha of each path on the default branch, or null for files that don't exist
+async function getFileShas(octokit, repo, paths) {
+  const files = await getFiles(octokit, repo, paths);
+  return Object.fromEntries(Object.entries(files).map(([path, file]) => [path, file?.sha ?? null]));
+}
+
+// Snapshot the current values next to the generated ones, so a later apply can detect drift
+async function createPlanEntry(octokit, repo, generatedData, repoContext) {
+  const readme = await getReadmeInfo(octokit, repo);
+
+  const proposed = {};
+  if (generatedData.description !== undefined) proposed.description = generatedData.description;
+  if (generatedData.website !== undefined) proposed.homepage = generatedData.website;
+  if (generatedData.topics !== undefined) proposed.topics = generatedData.topics;
+  if (generatedData.readme !== undefined) proposed.readme = generatedData.readme;
+  for (const field of FILE_SET_FIELDS) {
+    if (generatedData[field] !== undefined) proposed[field] = generatedData[field];
+  }
+
+  return {
+    repository: repo.full_name,
+    current: {
+      description: repo.description || "",
+      homepage: repo.homepage || "",
+      topics: repo.topics || [],
+      readme: readme ? { path: readme.path, sha: readme.sha } : null,
+      files: await getFileShas(octokit, repo, fileSetPaths(generatedData)),
+    },
+    proposed,
+    // Files the proposal was generated from, for reviewers
+    context: summarizeSources(repoContext),
+  };
+}
+
+async function writePlan(path, entries) {
+  const plan = {
+    version: PLAN_VERSION,
+    createdAt: new Date().toISOString(),
+    repositories: entries,
+  };
+  await writeFile(path, JSON.stringify(plan, null, 2) + "\n");
+}
+
+async function readPlan(path) {
+  let plan;
+  try {
+    plan = JSON.parse(await readFile(path, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read plan file ${path}: ${error.message}`);
+  }
+
+  const invalid = (message) => new Error(`Invalid plan file ${path}: ${message}`);
+
+  if (plan.version !== PLAN_VERSION) {
+    throw invalid(`unsupported version ${plan.version} (expected ${PLAN_VERSION})`);
+  }
+  if (!Array.isArray(plan.repositories)) {
+    throw invalid("repositories must be an array");
+  }
+
+  plan.repositories.forEach((entry, index) => {
+    const at = `repositories[${index}]`;
+    if (typeof entry.repository !== "string" || !/^[\w.-]+\/[\w.-]+$/.test(entry.repository)) {
+      throw invalid(`${at}.repository must be in the form owner/name`);
+    }
+    if (!entry.current || typeof entry.current !== "object") {
+      throw invalid(`${at}.current is missing`);
+    }
+    if (!entry.proposed || typeof entry.proposed !== "object") {
+      throw invalid(`${at}.proposed is missing`);
+    }
+    for (const [key, value] of Object.entries(entry.proposed)) {
+      if (key === "topics") {
+        if (!Array.isArray(value) || value.some((topic) => typeof topic !== "string")) {
+          throw invalid(`${at}.proposed.topics must be an array of strings`);
+        }
+      } else if (["description", "homepage", "readme"].includes(key)) {
+        if (typeof value !== "string") {
+          throw invalid(`${at}.proposed.${key} must be a string`);
+        }
+      } else if (FILE_SET_FIELDS.includes(key)) {
+        if (!value || typeof value !== "object" || Array.isArray(value) || Object.values(value).some((content) => typeof content !== "string")) {
+          throw invalid(`${at}.proposed.${key} must map file paths to their contents`);
+        }
+      } else {
+        throw invalid(`${at}.proposed.${key} is not a known field`);
+      }
+    }
+  });
+
+  return plan;
+}
+
+// Fields the plan would change whose live value no longer matches what the plan was made against.
+// files: the live blob shas of the plan's community files and manifests (see getFileShas)
+function findPlanConflicts(entry, repo, readme, files) {
+  const conflicts = [];
+  const { current, proposed } = entry;
+
+  if ("description" in proposed && (repo.description || "") !== (current.description || "")) {
+    conflicts.push("description");
+  }
+  if ("homepage" in proposed && (repo.homepage || "") !== (current.homepage || "")) {
+    conflicts.push("homepage");
+  }
+  if ("topics" in proposed) {
+    const liveTopics = [...(repo.topics || [])].sort().join(",");
+    const plannedTopics = [...(current.topics || [])].sort().join(",");
+    if (liveTopics !== plannedTopics) {
+      conflicts.push("topics");
+    }
+  }
+  if ("readme" in proposed && (readme ? readme.sha : null) !== (current.readme ? current.readme.sha : null)) {
+    conflicts.push("readme");
+  }
+  for (const field of FILE_SET_FIELDS) {
+    if (field in proposed && Object.keys(proposed[field]).some((path) => files[path] !== (current.files?.[path] ?? null))) {
+      conflicts.push(field);
+    }
+  }
+
+  return conflicts;
+}
+
+async function runApplyPlan(octokit, options, config) {
+  const plan = await readPlan(options.planPath);
+
+  log(chalk.green("✓") + ` Loaded plan for ${chalk.bold(plan.repositories.length)} repositories (created ${plan.createdAt || "at an unknown time"})`);
+
+  if (plan.repositories.length === 0) {
+    log(chalk.yellow("⚠") + " The plan is empty. Exiting.");
+    return reportResult({ status: null, repositories: [] }, "nothing-to-do");
+  }
+
+  plan.repositories.forEach((entry) => {
+    log("\n" + chalk.bold.white(entry.repository));
+    displayGeneratedSummary(planEntryToGenerated(entry), { banner: false });
+  });
+
+  if (!options.yes) {
+    const applyChanges = await confirm({
+      message: chalk.cyan(`Apply this plan to ${plan.repositories.length} repositories?`),
+      default: true,
+    });
+    if (!applyChanges) {
+      log(chalk.yellow("⚠") + " Changes cancelled.");
+      return EXIT_CODES.NOTHING_TO_DO;
+    }
+  }
+
+  log("\n" + chalk.yellow("⏳") + " Applying plan...\n");
+
+  const records = await mapWithConcurrency(plan.repositories, options.concurrency, async (entry) => {
+    const record = await applyPlanEntry(octokit, entry, config);
+    logRecord(record);
+    return record;
+  });
+
+  displayBatchSummary(records);
+
+  return reportResult({ status: null, repositories: records }, batchStatus(records));
+}
+
+function planEntryToGenerated(entry) {
+  const generatedData = {};
+  if (entry.proposed.description !== undefined) generatedData.description = entry.proposed.description;
+  if (entry.proposed.homepage !== undefined) generatedData.website = entry.proposed.homepage;
+  if (entry.proposed.topics !== undefined) generatedData.topics = entry.proposed.topics;
+  if (entry.proposed.readme !== undefined) generatedData.readme = entry.proposed.readme;
+  for (const field of FILE_SET_FIELDS) {
+    if (entry.proposed[field] !== undefined) generatedData[field] = entry.proposed[field];
+  }
+  return generatedData;
+}
+
+async function applyPlanEntry(octokit, entry, config) {
+  const record = {
+    repository: entry.repository,
+    status: null,
+    changed: [],
+    skipped: [],
+    failed: [],
+    generated: planEntryToGenerated(entry),
+  };
+
+  try {
+    const repo = await fetchRepository(octokit, entry.repository);
+    ensureWritable(repo);
+    const readme = "readme" in entry.proposed ? await getReadmeInfo(octokit, repo) : null;
+    const files = await getFileShas(octokit, repo, fileSetPaths(entry.proposed));
+
+    const conflicts = findPlanConflicts(entry, repo, readme, files);
+    if (conflicts.length > 0) {
+      record.failed.push({
+        field: conflicts.join(", "),
+        message: "Changed since the plan was made; generate a new plan",
+      });
+      record.status = "stale";
+      return record;
+    }
+
+    const { applied, errors, pullRequest } = await applyMetadata(octokit, repo, record.generated, {
+      verbose: false,
+      commit: config.commit,
+    });
+    record.changed = applied;
+    record.failed = errors;
+    if (pullRequest) {
+      record.pullRequest = pullRequest;
+    }
+  } catch (error) {
+    record.failed.push({ field: "repository", message: error.message });
+  }
+
+  if (record.failed.length === 0) {
+    record.status = "applied";
+  } else {
+    record.status = record.changed.length > 0 ? "partial" : "failed";
+  }
+  return record;
+}
+
+// List the journal, newest first; --repo limits it to some repositories
+async function runHistory(options) {
+  const entries = await journal.list();
+  const repos = options.repos.map((name) => name.toLowerCase());
+  const listed = entries.filter((entry) => repos.length === 0 || repos.includes(entry.repository.toLowerCase())).reverse();
+  const undoneBy = new Map(entries.filter((entry) => entry.rollbackOf).map((entry) => [entry.rollbackOf, entry.id]));
+
+  if (listed.length === 0) {
+    log(chalk.yellow("⚠") + ` No changes recorded${repos.length > 0 ? " for these repositories" : ""} in ${journal.path}`);
+    return reportResult({ status: null, entries: [] }, "nothing-to-do");
+  }
+
+  log(chalk.bold.cyan("📜 Change journal: ") + chalk.dim(journal.path) + "\n");
+  const width = Math.min(40, Math.max(...listed.map((entry) => entry.repository.length)));
+  for (const entry of listed) {
+    const status = entry.rollbackOf
+      ? chalk.magenta(`rollback of ${entry.rollbackOf}`)
+      : undoneBy.has(entry.id)
+        ? chalk.dim(`rolled back by ${undoneBy.get(entry.id)}`)
+        : entry.pullRequest
+          ? chalk.gray(`pull request #${entry.pullRequest.number}`)
+          : chalk.gray(entry.commit ? `commit ${entry.commit.sha.substring(0, 7)}` : "settings only");
+    log(
+      `  ${chalk.bold.white(entry.id)}  ${chalk.green(formatJournalTime(entry.createdAt))}  ` +
+        `${chalk.cyan(fitText(entry.repository, width))}  ${journalChanges(entry).join(", ")}  ${status}`
+    );
+  }
+  log(chalk.dim(`\n  Undo a change with: node index.js rollback <id>, or rollback <owner/name> for a repository's latest\n`));
+
+  return reportResult(
+    {
+      status: null,
+      entries: listed.map(({ id, createdAt, repository, commit, pullRequest, rollbackOf, ...entry }) => ({
+        id,
+        createdAt,
+        repository,
+        changed: journalChanges(entry),
+        commit,
+        pullRequest,
+        rollbackOf: rollbackOf || null,
+        rolledBackBy: undoneBy.get(id) || null,
+      })),
+    },
+    "listed"
+  );
+}
+
+// "2026-10-19 08:51" in local time
+function formatJournalTime(iso) {
+  const date = new Date(iso);
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// The settings and file paths a journal entry changed
+function journalChanges(entry) {
+  return [...JOURNAL_SETTINGS.filter((key) => key in entry.applied), ...Object.keys(entry.applied.files || {})];
+}
+
+// Undo a journal entry, given by id, or the latest change to a repository given as owner/name that
+// hasn't been rolled back yet
+async function runRollback(octokit, options, config) {
+  const entries = await journal.list();
+  const target = options.rollbackTarget;
+
+  let entry;
+  if (/^[\w.-]+\/[\w.-]+$/.test(target)) {
+    entry = activeEntries(entries)
+      .filter((candidate) => candidate.repository.toLowerCase() === target.toLowerCase())
+      .pop();
+    if (!entry) {
+      throw new Error(`The journal has no change to ${target} left to roll back. Run history to list the changes.`);
+    }
+  } else {
+    entry = entries.find((candidate) => candidate.id === target);
+    if (!entry) {
+      throw new Error(`No journal entry "${target}". Run history to list the changes.`);
+    }
+    const undoneBy = entries.find((candidate) => candidate.rollbackOf === entry.id);
+    if (undoneBy) {
+      log(chalk.yellow("⚠") + ` ${entry.id} was already rolled back by ${undoneBy.id}`);
+      return reportResult({ status: null, entry: entry.id, repository: entry.repository }, "nothing-to-do");
+    }
+  }
+
+  log(
+    chalk.green("✓") +
+      ` Journal entry ${chalk.bold(entry.id)}: ${chalk.bold.white(entry.repository)}, applied ${formatJournalTime(entry.createdAt)}\n`
+  );
+  const { previous, applied } = entry;
+  const show = (value) => (Array.isArray(value) ? value.join(", ") : value) || chalk.dim("(empty)");
+  for (const key of JOURNAL_SETTINGS.filter((key) => key in applied)) {
+    log(`  ${chalk.bold.white(key)}: ${chalk.red(show(applied[key]))} → ${chalk.green(show(previous[key]))}`);
+  }
+  for (const path of Object.keys(applied.files || {})) {
+    log(`  ${chalk.bold.white(path)}: ${previous.files?.[path] ? "restored to its previous content" : chalk.red("deleted")}`);
+  }
+  log("");
+
+  if (!options.yes) {
+    const rollBack = await confirm({ message: chalk.cyan(`Restore these values on ${entry.repository}?`), default: true });
+    if (!rollBack) {
+      log(chalk.yellow("⚠") + " Rollback cancelled.");
+      return EXIT_CODES.NOTHING_TO_DO;
+    }
+  }
+
+  log(chalk.yellow("⏳") + " Rolling back...\n");
+  const record = await rollbackEntry(octokit, entry, config);
+  if (record.status === "stale") {
+    log(
+      chalk.yellow("  ⚠") +
+        ` ${chalk.bold(record.repository)} ${record.conflicts.join(", ")} changed since ${entry.id} was applied; nothing was restored`
+    );
+    return reportResult({ ...record, entry: entry.id }, "stale");
+  }
+  logRecord(record);
+  if (record.journalEntry) {
+    log(chalk.dim(`  Journal entry ${record.journalEntry}; undo the rollback with: node index.js rollback ${record.journalEntry}`));
+  }
+  if (record.skipped.length > 0) {
+    log(chalk.dim(`  Already back to their previous values: ${record.skipped.join(", ")}`));
+  }
+  if (entry.pullRequest && record.skipped.some((path) => path in (applied.files || {}))) {
+    log(chalk.dim(`  If pull request #${entry.pullRequest.number} is still open, close it: ${entry.pullRequest.url}`));
+  }
+
+  return reportResult({ ...record, entry: entry.id }, record.status === "applied" || record.status === "nothing-to-do" ? record.status : "error");
+}
+
+// Restore the values a journal entry replaced. Each one must still be what the entry applied: when
+// anything changed since, nothing is restored. Values already back where they were are skipped,
+// like files from a pull request that was never merged.
+async function rollbackEntry(octokit, entry, config) {
+  const record = { repository: entry.repository, status: null, changed: [], skipped: [], failed: [] };
+  const { previous, applied } = entry;
+
+  let repo;
+  try {
+    repo = await fetchRepository(octokit, entry.repository);
+    ensureWritable(repo);
+  } catch (error) {
+    record.failed.push({ field: "repository", message: error.message });
+    record.status = "failed";
+    return record;
+  }
+
+  const sameValue = (a, b) => (Array.isArray(a) ? [...a].sort().join(",") === [...b].sort().join(",") : a === b);
+  const settings = {};
+  const conflicts = [];
+  for (const key of JOURNAL_SETTINGS.filter((key) => key in applied)) {
+    const live = key === "topics" ? repo.topics || [] : repo[key] || "";
+    if (sameValue(live, previous[key])) {
+      record.skipped.push(key);
+    } else if (sameValue(live, applied[key])) {
+      settings[key] = previous[key];
+    } else {
+      conflicts.push(key);
+    }
+  }
+
+  const paths = Object.keys(applied.files || {});
+  const live = await getFiles(octokit, repo, paths);
+  const files = [];
+  for (const path of paths) {
+    const liveSha = live[path]?.sha ?? null;
+    if (liveSha === (previous.files?.[path]?.sha ?? null)) {
+      record.skipped.push(path);
+    } else if (liveSha === (applied.files[path]?.sha ?? null)) {
+      files.push({ path, content: previous.files?.[path]?.content ?? null });
+    } else {
+      conflicts.push(path);
+    }
+  }
+
+  if (conflicts.length > 0) {
+    record.conflicts = conflicts;
+    record.status = "stale";
+    return record;
+  }
+
+  // The values being replaced, and the ones restored, journaled so the rollback can be undone too
+  const replaced = {};
+  const restored = {};
+
+  const update = Object.fromEntries(Object.entries(settings).filter(([key]) => key !== "topics"));
+  if (Object.keys(update).length > 0) {
+    try {
+      await octokit.rest.repos.update({ owner: repo.owner.login, repo: repo.name, ...update });
+      for (const [key, value] of Object.entries(update)) {
+        replaced[key] = applied[key];
+        restored[key] = value;
+        record.changed.push(key);
+      }
+    } catch (error) {
+      record.failed.push({ field: Object.keys(update).join(", "), message: error.message });
+    }
+  }
+
+  if (settings.topics) {
+    try {
+      await octokit.rest.repos.replaceAllTopics({ owner: repo.owner.login, repo: repo.name, names: settings.topics });
+      replaced.topics = applied.topics;
+      restored.topics = settings.topics;
+      record.changed.push("topics");
+    } catch (error) {
+      record.failed.push({ field: "topics", message: error.message });
+    }
+  }
+
+  let committed = null;
+  if (files.length > 0) {
+    try {
+      committed = await commitFiles(octokit, repo, files, {
+        message: `Roll back ${files.map((file) => file.path).join(", ")} via metadata generator`,
+        title: "Roll back repository metadata via metadata generator",
+        body: [
+          "Generated by the GitHub Repository Metadata Generator.",
+          "",
+          `Restores the files changed in journal entry \`${entry.id}\`${entry.commit ? ` (${entry.commit.sha})` : ""}:`,
+          "",
+          ...files.map((file) => `- \`${file.path}\`${file.content === null ? " (deleted)" : ""}`),
+        ].join("\n"),
+        commit: config.commit,
+        report: () => {},
+      });
+      replaced.files = Object.fromEntries(files.map((file) => [file.path, applied.files[file.path]]));
+      restored.files = Object.fromEntries(files.map((file) => [file.path, previous.files?.[file.path] ?? null]));
+      record.changed.push(...files.map((file) => file.path));
+      if (committed.pullRequest) {
+        record.pullRequest = committed.pullRequest;
+      }
+    } catch (error) {
+      record.failed.push({ field: files.map((file) => file.path).join(", "), message: error.message });
+    }
+  }
+
+  if (record.changed.length > 0) {
+    await cache.clear("repos");
+    const recorded = await recordChange(repo, replaced, restored, { committed, rollbackOf: entry.id, report: () => {} });
+    record.journalEntry = recorded?.id ?? null;
+  }
+
+  if (record.failed.length === 0) {
+    record.status = record.changed.length > 0 ? "applied" : "nothing-to-do";
+  } else {
+    record.status = record.changed.length > 0 ? "partial" : "failed";
+  }
+  return record;
+}
+
+// Score every repository (or the ones given with --repo) and report the result; nothing is changed
+async function runAudit(octokit, options, config) {
+  let repos;
+  if (options.repos.length > 0) {
+    repos = await Promise.all(options.repos.map((name) => fetchRepository(octokit, name)));
+  } else {
+    log(chalk.yellow("⏳") + " Fetching your repositories...\n");
+    const fetchedRepos = await fetchAllRepositories(octokit, { owners: config.repos.owners, ttl: config.cache.listTtl });
+    repos = filterRepositories(
+      fetchedRepos.filter((repo) => isRepositoryIncluded(repo, config.repos)),
+      config.display.filters
+    );
+    if (repos.length < fetchedRepos.length) {
+      log(chalk.dim(`  ${fetchedRepos.length - repos.length} repositories skipped by repos.include/exclude or display.filters in your config`));
+    }
+  }
+
+  if (repos.length === 0) {
+    log(chalk.red("✗") + " No repositories found.");
+    return reportResult({ status: null, repositories: [] }, "nothing-to-do");
+  }
+
+  log(chalk.yellow("⏳") + ` Auditing ${repos.length} repositories (${options.concurrency} at a time)...`);
+  const results = await mapWithConcurrency(repos, options.concurrency, (repo) =>
+    auditRepository(octokit, repo, { cache, minReadmeLength: config.audit.minReadmeLength })
+  );
+
+  const sort = options.sort || "score";
+  const sorted = sortAuditResults(results, sort);
+  displayAuditTable(sorted, sort);
+
+  for (const path of options.reports) {
+    await writeFile(path, formatAuditReport(sorted, reportFormat(path)));
+    log(chalk.green("✓") + ` Report written to ${chalk.bold(path)}`);
+  }
+
+  const failing = sorted.filter((result) => result.error || (options.minScore !== null && result.score < options.minScore));
+  if (failing.length > 0) {
+    const reason = options.minScore !== null ? `scored below ${options.minScore} or could not be audited` : "could not be audited";
+    log(chalk.red("✗") + ` ${failing.length} repositories ${reason}`);
+    return reportResult({ status: null, repositories: sorted }, "error");
+  }
+  return reportResult({ status: null, repositories: sorted }, "audited");
+}
+
+// Report format from the file extension, or null when it isn't one
+function reportFormat(path) {
+  const extension = /\.(\w+)$/.exec(path)?.[1].toLowerCase();
+  const format = extension === "markdown" ? "md" : extension;
+  return AUDIT_REPORT_FORMATS.includes(format) ? format : null;
+}
+
+// One row per repository: its score and the checks it failed
+function displayAuditTable(results, sort) {
+  const box = {
+    topLeft: "┌", topRight: "┐", bottomLeft: "└", bottomRight: "┘",
+    horizontal: "─", vertical: "│", teeDown: "┬", teeUp: "┴", teeRight: "├", teeLeft: "┤", cross: "┼"
+  };
+
+  const width = process.stdout.columns || 120;
+  const cols = {
+    repo: Math.min(40, Math.max(12, ...results.map((result) => result.repository.length))) + 2,
+    score: 7,
+  };
+  cols.failing = Math.max(20, Math.min(90, width - cols.repo - cols.score - 4));
+
+  const fit = (text, width) => {
+    const value = ` ${text}`;
+    return value.length > width ? value.substring(0, width - 1) + "…" : value.padEnd(width);
+  };
+  const border = (left, join, right) =>
+    chalk.dim(left + Object.values(cols).map((w) => box.horizontal.repeat(w)).join(join) + right);
+  const scoreColor = (score) => (score >= 80 ? chalk.green : score >= 50 ? chalk.yellow : chalk.red);
+
+  log("\n" + chalk.bold.cyan("🩺 Metadata Audit: ") + chalk.dim(`sorted by ${AUDIT_SORTS[sort].label}\n`));
+  log(border(box.topLeft, box.teeDown, box.topRight));
+  log(
+    chalk.dim(box.vertical) +
+    [fit("Repository", cols.repo), fit("Score", cols.score), fit("Failing checks", cols.failing)]
+      .map((h) => chalk.bold.white(h))
+      .join(chalk.dim(box.vertical)) +
+    chalk.dim(box.vertical)
+  );
+  log(border(box.teeRight, box.cross, box.teeLeft));
+
+  results.forEach((result) => {
+    const failing = Object.entries(result.checks)
+      .filter(([, check]) => check.passed === false)
+      .map(([id]) => AUDIT_CHECKS[id].label);
+    const cells = result.error
+      ? [chalk.bold.cyan(fit(result.repository, cols.repo)), chalk.red(fit("--", cols.score)), chalk.red(fit(result.error, cols.failing))]
+      : [
+          chalk.bold.cyan(fit(result.repository, cols.repo)),
+          scoreColor(result.score)(fit(String(result.score), cols.score)),
+          chalk.gray(fit(failing.join(", ") || "--", cols.failing)),
+        ];
+    log(chalk.dim(box.vertical) + cells.join(chalk.dim(box.vertical)) + chalk.dim(box.vertical));
+  });
+  log(border(box.bottomLeft, box.teeUp, box.bottomRight));
+
+  const scored = results.filter((result) => result.score !== null);
+  if (scored.length > 0) {
+    const average = Math.round(scored.reduce((sum, result) => sum + result.score, 0) / scored.length);
+    log(`\nAverage score: ${scoreColor(average)(String(average))} across ${scored.length} repositories\n`);
+  }
+}
+
+// Read the repository's most important files within the configured token budget, from GitHub or,
+// given a working copy, from disk
+async function getRepositoryContext(octokit, repo, config, { verbose = true, workingCopy = null } = {}) {
+  const context = workingCopy
+    ? await buildLocalContext(octokit, repo, workingCopy, config.context)
+    : await buildRepositoryContext(octokit, repo, config.context, { cache });
+  // The improve mode edits the current README, so it needs all of it rather than a budgeted excerpt
+  if (config.readme.mode !== "improve") {
+    context.currentReadme = null;
+  } else {
+    context.currentReadme = workingCopy ? await readLocalReadme(workingCopy) : await getReadmeInfo(octokit, repo);
+  }
+  if (verbose) {
+    for (const warning of context.warnings) {
+      log(chalk.yellow("  ⚠") + ` Warning: ${warning}`);
+    }
+    displayContextSources(context, config);
+  }
+  return context;
+}
+
+// Show which files the generated metadata is based on
+function displayContextSources(context, config) {
+  if (context.sources.length === 0) {
+    log(chalk.yellow("  ⚠") + " No file contents could be read; generating from the file list only\n");
+    return;
+  }
+
+  log(
+    chalk.green("  ✓") +
+      ` Read ${chalk.bold(context.sources.length)} files for context ` +
+      chalk.gray(`(~${context.tokens} of ${config.context.tokenBudget} tokens)`)
+  );
+  for (const source of summarizeSources(context)) {
+    log(chalk.dim(`    ${source.path}`) + chalk.gray(` ${source.reason}, ~${source.tokens} tokens${source.truncated ? ", truncated" : ""}`));
+  }
+  log("");
+}
+
+// The requests generating fields would make: [{ field, model, requests, promptTokens, completionTokens }].
+// context: the repository context, or { tokens, currentReadme } when it hasn't been read yet.
+// Completions are counted at their token limit and every field as its own request, so the estimate
+// errs high.
+function estimateRequests(llm, fields, config, context) {
+  const readmeTokens = context.currentReadme ? estimateTokens(context.currentReadme.content) : 0;
+  return fields
+    .filter((field) => DEFAULT_FIELD_SETTINGS[field])
+    .map((field) => {
+      const { model, maxTokens, candidates = 1 } = llm.settingsFor(field, config.llm);
+      let requests = 1;
+      let promptTokens = ESTIMATE_PROMPT_TOKENS + context.tokens;
+      let completionTokens = maxTokens;
+      if (["description", "website", "topics"].includes(field)) {
+        // Only excerpts of the manifests are quoted; every candidate is a completion of its own
+        promptTokens = ESTIMATE_PROMPT_TOKENS;
+        completionTokens = maxTokens * (field === "website" ? 1 : candidates);
+      } else if (field === "readme") {
+        promptTokens += readmeTokens;
+      } else if (field === "translations") {
+        // Each language gets the English README, and takes up to twice its tokens
+        const english = fields.includes("readme") || !readmeTokens ? llm.settingsFor("readme", config.llm).maxTokens : readmeTokens;
+        requests = config.readme.languages.length;
+        promptTokens = ESTIMATE_PROMPT_TOKENS + english;
+        completionTokens = Math.min(maxTokens, english * 2);
+      } else if (COMMUNITY_FILES[field]) {
+        requests = COMMUNITY_FILES[field].files.length;
+      }
+      return { field, model, requests, promptTokens: promptTokens * requests, completionTokens: completionTokens * requests };
+    })
+    .filter((planned) => planned.requests > 0);
+}
+
+// Show what the planned requests will roughly use, and warn when that is more than the budget left
+function displayEstimate(planned) {
+  if (planned.length === 0) return;
+  const estimate = usage.estimate(planned);
+  const tokens = estimate.promptTokens + estimate.completionTokens;
+  log(
+    chalk.cyan("💰") +
+      ` Estimated usage: up to ~${formatTokens(tokens)} tokens ` +
+      chalk.gray(`(${formatTokens(estimate.promptTokens)} prompt, ${formatTokens(estimate.completionTokens)} completion)`) +
+      `, ${describeCost(estimate)}`
+  );
+
+  const spent = usage.summarize();
+  const overCost = usage.maxCost !== null && spent.cost + estimate.cost > usage.maxCost;
+  const overTokens = usage.maxTokens !== null && spent.promptTokens + spent.completionTokens + tokens > usage.maxTokens;
+  if (overCost || overTokens) {
+    const budget = [usage.maxCost !== null && formatCost(usage.maxCost), usage.maxTokens !== null && `${formatTokens(usage.maxTokens)} tokens`].filter(Boolean);
+    log(chalk.yellow("  ⚠") + ` That may be more than the budget of ${budget.join(" and ")}; generation stops once it is spent`);
+  }
+  log("");
+}
+
+// Tokens and cost of the run's requests, per field, and per repository when there were several
+function displayUsage() {
+  const line = ({ requests, promptTokens, completionTokens, ...totals }) =>
+    `${requests} ${requests === 1 ? "request" : "requests"}, ${formatTokens(promptTokens)} prompt + ${formatTokens(completionTokens)} completion tokens, ${describeCost(totals)}`;
+
+  log("\n" + chalk.bold.cyan("💰 Usage: ") + line(usage.summarize()));
+  for (const { field, ...totals } of usage.groupBy("field")) {
+    log(chalk.dim(`    ${FIELD_LABELS[field]}: `) + chalk.gray(line(totals)));
+  }
+  const repositories = usage.groupBy("repository");
+  if (repositories.length > 1) {
+    log(chalk.bold("  By repository:"));
+    for (const { repository, ...totals } of repositories) {
+      log(chalk.dim(`    ${repository}: `) + chalk.gray(line(totals)));
+    }
+  }
+  log("");
+}
+
+// The cost of some requests; models without a price make it a lower bound
+function describeCost({ cost, unpriced }) {
+  if (unpriced.length === 0) {
+    return formatCost(cost);
+  }
+  const models = unpriced.join(", ");
+  return cost > 0 ? `${formatCost(cost)} plus the requests to ${models} (no price)` : `cost unknown (no price for ${models})`;
+}
+
+// The run's usage for --json output: totals, and totals by field
+function usageReport() {
+  // Rounded to a millionth of a dollar, so floating point noise stays out of the output
+  const round = (cost) => Math.round(cost * 1e6) / 1e6;
+  const { unpriced, cost, ...totals } = usage.summarize();
+  return {
+    ...totals,
+    cost: round(cost),
+    ...(unpriced.length > 0 && { unpriced }),
+    fields: Object.fromEntries(
+      usage.groupBy("field").map(({ field, requests, promptTokens, completionTokens, cost }) => [field, { requests, promptTokens, completionTokens, cost: round(cost) }])
+    ),
+  };
+}
+
+// Values for the {{placeholders}} of custom prompt templates
+function promptValues(context, config) {
+  return {
+    name: context.name,
+    fullName: context.fullName,
+    language: context.language,
+    description: context.description,
+    topics: context.topics.join(", "),
+    files: context.files.join("\n"),
+    packageJson: context.packageJson ? JSON.stringify(context.packageJson, null, 2) : "",
+    manifests: formatSources(context.sources.filter((source) => source.reason === "manifest")),
+    sources: formatSources(context.sources),
+    topicCount: config.topics.count,
+    requiredTopics: config.topics.required.join(", "),
+    forbiddenTopics: config.topics.forbidden.join(", "),
+    readmeSections: config.readme.sections.map((section, index) => `${index + 1}. ${section}`).join("\n"),
+  };
+}
+
+// One or more candidate descriptions, depending on the field's candidates setting
+async function generateDescription(llm, context, config) {
+  const prompt = config.prompts.description
+    ? renderTemplate(config.prompts.description, promptValues(context, config))
+    : `Generate a concise, professional GitHub repository description (max 150 characters) for a repository with the following details:
+
+Repository name: ${context.name}
+Primary language: ${context.language}
+Current topics: ${context.topics.join(", ") || "None"}
+Files in repository: ${context.files.slice(0, 20).join(", ")}
+${context.packageJson ? `Package.json name: ${context.packageJson.name}, description: ${context.packageJson.description || "None"}` : ""}
+${context.sources.length > 0 ? `Key files:\n${formatSources(context.sources.filter((source) => ["manifest", "readme"].includes(source.reason)), 500)}` : ""}
+
+Return ONLY the description text, no quotes or extra formatting.`;
+
+  const descriptions = await llm.sample("description", prompt, config.llm);
+  return descriptions.map((description) => description.substring(0, MAX_DESCRIPTION_LENGTH));
+}
+
+// Use the homepage the repository already declares; only ask the LLM when there is none.
+// Returns { url, source }, or { url: null, reason } when the suggestion can't be used.
+// detect: false skips straight to the LLM, e.g. when the user rejected the detected homepage
+async function generateWebsite(llm, context, config, { detect = true } = {}) {
+  const { verify } = config.website;
+  const detected = detect ? await detectHomepage(context, { verify }) : null;
+  if (detected) {
+    return detected;
+  }
+
+  const prompt = config.prompts.website
+    ? renderTemplate(config.prompts.website, promptValues(context, config))
+    : `Suggest the most appropriate website URL for a GitHub repository with these details:
+
+Repository name: ${context.name}
+Full name: ${context.fullName}
+Primary language: ${context.language}
+${context.packageJson ? `Package name: ${context.packageJson.name}` : ""}
+
+If this appears to be an npm package, suggest the npmjs.com URL.
+If it's a Python package, suggest PyPI URL.
+If it could have GitHub Pages, suggest that.
+Otherwise, suggest a reasonable documentation or project URL.
+
+Return ONLY the URL, nothing else.`;
+
+  const suggestion = await llm.complete("website", prompt, config.llm);
+  // Models like to wrap the URL in quotes, brackets or a sentence
+  const url = (/https?:\/\/[^\s"'<>()\]]+/.exec(suggestion)?.[0] || suggestion).replace(/[.,;:]+$/, "");
+
+  const problem = checkHomepage(url, context.fullName);
+  if (problem) {
+    return { url: null, reason: `the suggested ${problem}` };
+  }
+  if (verify && !(await urlResolves(url))) {
+    return { url: null, reason: `the suggested ${url} does not resolve` };
+  }
+  return { url, source: "LLM suggestion" };
+}
+
+// One or more candidate topic lists, each combined with the existing topics
+async function generateTopics(llm, context, config) {
+  const { count, required, forbidden, strategy, locked } = config.topics;
+  const prompt = config.prompts.topics
+    ? renderTemplate(config.prompts.topics, promptValues(context, config))
+    : `Generate ${count > 5 ? `5-${count}` : count} relevant GitHub topics (tags) for a repository with these details:
+
+Repository name: ${context.name}
+Primary language: ${context.language}
+Current description: ${context.description || "None"}
+${strategy !== "replace" && context.topics.length > 0 ? `Existing topics (do not repeat them): ${context.topics.join(", ")}\n` : ""}Files in repository: ${context.files.slice(0, 30).join(", ")}
+${context.packageJson ? `Package.json dependencies: ${Object.keys(context.packageJson.dependencies || {}).slice(0, 10).join(", ")}` : ""}
+${context.sources.length > 0 ? `Manifests:\n${formatSources(context.sources.filter((source) => source.reason === "manifest"), 300)}` : ""}
+
+Rules for topics:
+- All lowercase
+- Use hyphens instead of spaces
+- Only letters, numbers and hyphens; start with a letter or number
+- Keep each topic at most ${MAX_TOPIC_LENGTH} characters
+- Include the primary programming language as a topic
+${required.length > 0 ? `- Always include: ${required.join(", ")}\n` : ""}${forbidden.length > 0 ? `- Never use: ${forbidden.join(", ")}\n` : ""}
+Return ONLY a comma-separated list of topics, nothing else.`;
+
+  const candidates = await llm.sample("topics", prompt, config.llm);
+
+  // Required and locked topics always make the cut
+  return candidates.map((text) =>
+    mergeTopics(context.topics, parseTopics(text, { forbidden }), { strategy, count, required, locked })
+  );
+}
+
+async function generateReadme(llm, context, config) {
+  if (context.currentReadme) {
+    return improveReadme(llm, context, config);
+  }
+  if (config.readme.template) {
+    return generateTemplateReadme(llm, context, config);
+  }
+
+  const prompt = config.prompts.readme
+    ? renderTemplate(config.prompts.readme, promptValues(context, config))
+    : `Generate a professional README.md for a GitHub repository with these details:
+
+Repository name: ${context.name}
+Full name: ${context.fullName}
+Primary language: ${context.language}
+Description: ${context.description || "A software project"}
+Topics: ${context.topics.join(", ") || "None specified"}
+Files in repository: ${context.files.slice(0, 50).join(", ")}
+${context.packageJson ? `Package.json: ${JSON.stringify({ name: context.packageJson.name, description: context.packageJson.description, scripts: context.packageJson.scripts }, null, 2)}` : ""}
+
+${context.sources.length > 0 ? `Contents of the most important files (base installation and usage instructions on these, not on guesses):\n\n${formatSources(context.sources)}` : ""}
+
+Include these sections:
+${promptValues(context, config).readmeSections}
+
+Make it professional and well-formatted with proper Markdown.`;
+
+  const readme = await llm.complete("readme", prompt, config.llm);
+  // In improve mode, a new README's sections are marked so later runs can regenerate them
+  return config.readme.mode === "improve" ? markReadmeSections(readme) : readme;
+}
+
+// Write only the sections the current README lacks, plus the ones the generator owns, and splice
+// them in; returns null when the README would not change
+async function improveReadme(llm, context, config) {
+  const current = context.currentReadme.content;
+  const targets = findReadmeTargets(current, config.readme.sections);
+  if (targets.length === 0) {
+    return null;
+  }
+
+  const sources = context.sources.filter((source) => source.reason !== "readme");
+  const prompt = `Write some sections of the README.md for a GitHub repository. The README already exists and is shown below; the new sections will be added to it, so don't repeat what it already covers and match its tone.
+
+Repository name: ${context.name}
+Full name: ${context.fullName}
+Primary language: ${context.language}
+Description: ${context.description || "A software project"}
+Files in repository: ${context.files.slice(0, 50).join(", ")}
+
+${sources.length > 0 ? `Contents of the most important files (base installation and usage instructions on these, not on guesses):\n\n${formatSources(sources)}\n` : ""}
+Current README.md:
+<<<
+${current}
+>>>
+
+Write exactly these sections, each starting with a "## " heading with the given title:
+${targets.map((target) => `- ${target.title}: ${target.description}`).join("\n")}
+
+Return ONLY these sections in Markdown, with nothing before the first heading.`;
+
+  const generated = await llm.complete("readme", prompt, config.llm);
+  const improved = mergeReadmeSections(current, targets, generated, config.readme.sections);
+  return improved === current ? null : improved;
+}
+
+// The fields to generate that the combined request can answer. Fields with a custom prompt or more
+// than one candidate, and a README from a template, are left to their own requests, which honour
+// those settings.
+function combinableFields(llm, fieldsToGenerate, config) {
+  return fieldsToGenerate.filter(
+    (field) =>
+      COMBINED_FIELDS[field] &&
+      !config.prompts[field] &&
+      !(field === "readme" && config.readme.template) &&
+      (llm.settingsFor(field, config.llm).candidates ?? 1) === 1
+  );
+}
+
+// Generate several of description, website, topics and README.md with one request answering in JSON,
+// so the repository context is sent once and the values agree with each other. An answer that breaks
+// a limit goes back to the model with the problems, up to MAX_COMBINED_ATTEMPTS requests in all; a
+// request the provider refuses ends it early. Returns { values, failed, problems, attempts }: values
+// shaped like the per-field generators' results, the fields still without a usable value, why the
+// last request didn't give them, and the number of requests made.
+async function generateCombined(llm, context, fields, config) {
+  const values = {};
+  let pending = fields;
+
+  // As in per-field mode, a homepage the repository already declares beats a suggestion
+  if (pending.includes("website")) {
+    const detected = await detectHomepage(context, { verify: config.website.verify });
+    if (detected) {
+      values.website = detected;
+      pending = pending.filter((field) => field !== "website");
+    }
+  }
+
+  // An existing README only gets the sections it lacks
+  const targets = context.currentReadme ? findReadmeTargets(context.currentReadme.content, config.readme.sections) : null;
+  if (pending.includes("readme") && targets?.length === 0) {
+    values.readme = null;
+    pending = pending.filter((field) => field !== "readme");
+  }
+
+  // The README dominates the answer, so its model settings are used; the token limits add up
+  const settingsField = pending.includes("readme") ? "readme" : pending[0];
+  const maxTokens = pending.reduce((total, field) => total + llm.settingsFor(field, config.llm).maxTokens, 0);
+
+  const accepted = {};
+  let problems = [];
+  let attempts = 0;
+  while (attempts < MAX_COMBINED_ATTEMPTS && pending.length > 0) {
+    attempts++;
+    const prompt = combinedPrompt(context, config, pending, { targets, accepted, problems });
+    let answer;
+    try {
+      answer = await llm.structured(settingsField, prompt, combinedSchema(pending), config.llm, { maxTokens });
+    } catch (error) {
+      // e.g. a server without structured outputs, which asking again won't change
+      if (error instanceof BudgetExceededError) throw error;
+      problems = [`the request failed (${error.message})`];
+      break;
+    }
+    const checked = checkCombinedAnswer(answer, pending, {
+      fullName: context.fullName,
+      forbidden: config.topics.forbidden,
+      maxDescriptionLength: MAX_DESCRIPTION_LENGTH,
+    });
+    Object.assign(accepted, checked.values);
+    problems = checked.problems;
+    pending = pending.filter((field) => !(field in checked.values));
+  }
+
+  if ("description" in accepted) {
+    values.description = accepted.description;
+  }
+  if ("website" in accepted) {
+    const url = accepted.website;
+    if (!url) {
+      values.website = { url: null, reason: "the model found no suitable homepage" };
+    } else if (config.website.verify && !(await urlResolves(url))) {
+      values.website = { url: null, reason: `the suggested ${url} does not resolve` };
+    } else {
+      values.website = { url, source: "LLM suggestion" };
+    }
+  }
+  if ("topics" in accepted) {
+    const { count, required, strategy, locked } = config.topics;
+    values.topics = mergeTopics(context.topics, accepted.topics, { strategy, count, required, locked });
+  }
+  if ("readme" in accepted) {
+    if (targets) {
+      const current = context.currentReadme.content;
+      const improved = mergeReadmeSections(current, targets, unwrapCodeBlock(accepted.readme), config.readme.sections);
+      values.readme = improved === current ? null : improved;
+    } else {
+      const readme = unwrapCodeBlock(accepted.readme);
+      values.readme = config.readme.mode === "improve" ? markReadmeSections(readme) : readme;
+    }
+  }
+
+  return { values, failed: pending, problems, attempts };
+}
+
+// The combined request: the repository details once, then what each key of the answer should hold.
+// Values accepted from an earlier answer are given as settled, and its problems are named.
+function combinedPrompt(context, config, fields, { targets, accepted, problems }) {
+  const { count, required, forbidden, strategy } = config.topics;
+  const keepTopics = strategy !== "replace" && context.topics.length > 0;
+  const sources = targets ? context.sources.filter((source) => source.reason !== "readme") : context.sources;
+
+  const instructions = {
+    description: "- description: a concise, professional description of the repository (max 150 characters), without quotes",
+    website:
+      "- homepage: the most appropriate website URL: the npmjs.com page of an npm package, the PyPI page of a Python package, GitHub Pages if it could have them, otherwise a reasonable documentation or project URL. An empty string if none fits",
+    topics: [
+      `- topics: ${count > 5 ? `5-${count}` : count} relevant GitHub topics (tags)`,
+      "  - All lowercase, with hyphens instead of spaces",
+      "  - Only letters, numbers and hyphens; start with a letter or number",
+      `  - At most ${MAX_TOPIC_LENGTH} characters each`,
+      "  - Include the primary programming language",
+      ...(keepTopics ? [`  - Don't repeat the existing topics: ${context.topics.join(", ")}`] : []),
+      ...(required.length > 0 ? [`  - Always include: ${required.join(", ")}`] : []),
+      ...(forbidden.length > 0 ? [`  - Never use: ${forbidden.join(", ")}`] : []),
+    ].join("\n"),
+    readme: targets
+      ? `- readme: only these sections of the README.md, each starting with a "## " heading with the given title, with nothing before the first heading:\n${targets.map((target) => `  - ${target.title}: ${target.description}`).join("\n")}`
+      : `- readme: a professional, well-formatted README.md in Markdown with these sections:\n${config.readme.sections.map((section) => `  - ${section}`).join("\n")}`,
+  };
+
+  const settled = [
+    accepted.description && `Description: ${accepted.description}`,
+    accepted.topics && `Topics: ${accepted.topics.join(", ")}`,
+    accepted.website && `Homepage: ${accepted.website}`,
+  ].filter(Boolean);
+
+  return `Write the metadata of a GitHub repository with these details:
+
+Repository name: ${context.name}
+Full name: ${context.fullName}
+Primary language: ${context.language}
+Current description: ${context.description || "None"}
+Current topics: ${context.topics.join(", ") || "None"}
+Files in repository: ${context.files.slice(0, 50).join(", ")}
+${context.packageJson ? `Package.json: ${JSON.stringify({ name: context.packageJson.name, description: context.packageJson.description, scripts: context.packageJson.scripts }, null, 2)}` : ""}
+
+${sources.length > 0 ? `Contents of the most important files (base installation and usage instructions on these, not on guesses):\n\n${formatSources(sources)}\n` : ""}${targets ? `Current README.md (the new sections will be added to it, so don't repeat what it already covers and match its tone):\n<<<\n${context.currentReadme.content}\n>>>\n` : ""}
+Answer with a JSON object with these keys:
+${fields.map((field) => instructions[field]).join("\n")}
+
+The values describe the same project, so keep them consistent: the README should agree with the description, and the topics with what the README covers.${settled.length > 0 ? `\n\nAlready settled; stay consistent with these:\n${settled.join("\n")}` : ""}${problems.length > 0 ? `\n\nThe previous answer was rejected: ${problems.join("; ")}. Correct these problems.` : ""}`;
+}
+
+// Fill in a README template. Data slots (badges, license, install commands, ...) come from the
+// repository; the model only writes the narrative slots, all in one structured request. A slot the
+// answer leaves empty is asked for on its own.
+async function generateTemplateReadme(llm, context, config) {
+  const template = await readReadmeTemplate(context, config.readme.template, { inRepository: config.readme.templateInRepository });
+  const data = await readTemplateData(context, { licenseKey: config.license.key });
+  const slots = findNarrativeSlots(template);
+  if (slots.length === 0) {
+    return renderReadmeTemplate(template, data);
+  }
+
+  // The model sees the README as it will be, with its own slots as [placeholders]
+  const outline = renderReadmeTemplate(template, { ...data, ...Object.fromEntries(slots.map((slot) => [slot.name, `[${slot.name}]`])) });
+  const prompt = `Fill in the placeholders of the README.md of a GitHub repository with these details:
+
+Repository name: ${context.name}
+Full name: ${context.fullName}
+Primary language: ${context.language}
+Description: ${context.description || "A software project"}
+Files in repository: ${context.files.slice(0, 50).join(", ")}
+
+${context.sources.length > 0 ? `Contents of the most important files (base what you write on these, not on guesses):\n\n${formatSources(context.sources)}\n` : ""}
+The README, with each placeholder in square brackets:
+<<<
+${outline}
+>>>
+
+Write Markdown for each placeholder, without a heading of its own (the README has them):
+${slots.map((slot) => `- ${slot.name}: ${slot.instructions}`).join("\n")}
+
+Badges, install commands and the license are already filled in from the repository; don't repeat them.`;
+
+  const schema = {
+    name: "readme_slots",
+    schema: {
+      type: "object",
+      properties: Object.fromEntries(slots.map((slot) => [slot.name, { type: "string" }])),
+      required: slots.map((slot) => slot.name),
+      additionalProperties: false,
+    },
+  };
+  let answer = {};
+  try {
+    const text = await llm.structured("readme", prompt, schema, config.llm);
+    answer = JSON.parse(/^\s*```(?:json)?\n([\s\S]*?)\n```\s*$/.exec(text)?.[1] ?? text) || {};
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+  }
+
+  const written = {};
+  for (const slot of slots) {
+    const value = typeof answer[slot.name] === "string" ? answer[slot.name].trim() : "";
+    written[slot.name] = unwrapCodeBlock(
+      value || (await llm.complete("readme", `${prompt}\n\nReturn ONLY the Markdown for the ${slot.name} placeholder, nothing else.`, config.llm))
+    );
+  }
+  return renderReadmeTemplate(template, { ...data, ...written });
+}
+
+// A README template from the repository being updated, so one can be committed alongside its
+// .repometarc; else from disk, relative to the working directory. inRepository: the template was
+// named by the repository's own config, so only the repository is looked at; reading the disk would
+// let a repository have files of the machine running the tool committed or sent to the model.
+async function readReadmeTemplate(context, path, { inRepository = false } = {}) {
+  const committed = isAbsolute(path) ? null : await context.readFile(path);
+  if (committed !== null) {
+    return committed;
+  }
+  if (inRepository) {
+    throw new Error(`README template ${path}, named by the repository's .repometarc, not found in the repository`);
+  }
+  try {
+    return await readFile(path, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`README template ${path} not found in the repository or on disk`);
+    }
+    throw error;
+  }
+}
+
+// Translate the README into each of readme.languages and give every variant a line linking the
+// others. readme: this run's README; without one, the repository's current README is translated.
+// Returns { files, readme, warnings }: files by path for the translations that differ from the
+// repository's (plus the current README when only its switcher line changes), and readme with
+// its switcher line. Existing translations are rewritten where they are.
+async function translateReadme(llm, context, readme, config) {
+  const { languages } = config.readme;
+  const path = context.currentReadme?.path || findReadme(context) || "README.md";
+  const english = readme ?? context.currentReadme?.content ?? (await context.readFile(path));
+  if (english === null) {
+    return { files: {}, readme, warnings: ["There is no README to translate"] };
+  }
+  if (languages.length === 0) {
+    return { files: {}, readme, warnings: ["No languages to translate into; set readme.languages or pass --readme-languages"] };
+  }
+
+  const { text, tokens } = protectMarkdown(removeLanguageSwitcher(english));
+  const warnings = [];
+  const translations = await Promise.all(
+    languages.map(async (code) => {
+      const target = translationPath(path, code);
+      const existing = context.findFile(new RegExp(`^${target.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i"));
+      const translated = await translateMarkdown(llm, text, tokens, code, config);
+      if (translated === null) {
+        warnings.push(`The ${languageNames(code).english} translation kept losing code, links or badges; ${existing || target} left as it is`);
+      }
+      return { code, name: languageNames(code).native, path: existing || target, exists: existing !== null, content: translated };
+    })
+  );
+
+  // The switcher only links to translations that exist after this run
+  const variants = [{ name: "English", path }, ...translations.filter((variant) => variant.content !== null || variant.exists)];
+  const files = {};
+  for (const variant of translations.filter((variant) => variant.content !== null)) {
+    const content = setLanguageSwitcher(variant.content, languageSwitcher(variants, variant.path));
+    if (content !== (await context.readFile(variant.path))) {
+      files[variant.path] = content;
+    }
+  }
+
+  const switched = setLanguageSwitcher(english, languageSwitcher(variants, path));
+  if (readme === undefined && switched !== english) {
+    files[path] = switched;
+  }
+  return { files, readme: readme === undefined ? undefined : switched, warnings };
+}
+
+// The repository's README, where GitHub looks for one: the root first, then .github/ and docs/.
+// null when there is none; translations such as README.ja.md don't count.
+function findReadme(context) {
+  for (const dir of ["", "\\.github/", "docs/"]) {
+    const path = context.findFile(new RegExp(`^${dir}readme(?:\\.(?:md|markdown|rst|txt))?$`, "i"));
+    if (path) return path;
+  }
+  return null;
+}
+
+// One translation of a README whose code, links and badges were swapped for placeholders (see
+// protectMarkdown); null when every attempt lost some of them
+async function translateMarkdown(llm, text, tokens, code, config) {
+  const prompt = `Translate this README.md of a GitHub repository into ${languageNames(code).english} (${code}).
+
+Rules:
+- Keep the Markdown structure: headings, lists, tables and emphasis
+- Placeholders like ⟦0⟧ stand for code, links and badges; keep every one exactly as it is, in the matching place
+- Keep the project name, commands, file names and identifiers as they are
+- Add nothing, such as notes about the translation
+
+Return ONLY the translated Markdown.
+
+<<<
+${text}
+>>>`;
+
+  let missing = [];
+  for (let attempt = 1; attempt <= MAX_TRANSLATION_ATTEMPTS; attempt++) {
+    const retry = missing.length > 0 ? `\n\nThe previous translation lost these placeholders: ${missing.map((index) => `⟦${index}⟧`).join(", ")}. Keep every one.` : "";
+    const answer = unwrapCodeBlock(await llm.complete("translations", prompt + retry, config.llm));
+    const restored = restoreMarkdown(answer, tokens);
+    if (restored.missing.length === 0) {
+      return restored.text.endsWith("\n") ? restored.text : `${restored.text}\n`;
+    }
+    missing = restored.missing;
+  }
+  return null;
+}
+
+// Write each file of a community field from the repository context; returns { [path]: content }.
+// A single-file field that exists elsewhere (e.g. docs/CONTRIBUTING.md) is rewritten in place.
+async function generateCommunityFiles(llm, context, field, config) {
+  const { pattern, files } = COMMUNITY_FILES[field];
+  const existing = files.length === 1 ? context.findFile(pattern) : null;
+
+  const generated = await Promise.all(
+    files.map(async (file) => {
+      const path = existing || file.path;
+      const prompt = config.prompts[field]
+        ? `${renderTemplate(config.prompts[field], promptValues(context, config))}${files.length > 1 ? `\n\nWrite ${path}.` : ""}`
+        : `Write the ${path} file for a GitHub repository with these details:
+
+Repository name: ${context.name}
+Full name: ${context.fullName}
+Primary language: ${context.language}
+Description: ${context.description || "A software project"}
+Files in repository: ${context.files.slice(0, 50).join(", ")}
+
+${context.sources.length > 0 ? `Contents of the most important files:\n\n${formatSources(context.sources, 1500)}\n` : ""}
+${file.instructions}
+
+Return ONLY the file content in Markdown, without wrapping it in a code block.`;
+
+      const content = unwrapCodeBlock(await llm.complete(field, prompt, config.llm));
+      return [path, content.endsWith("\n") ? content : `${content}\n`];
+    })
+  );
+  return Object.fromEntries(generated);
+}
+
+// Models sometimes fence a whole file in ```markdown ... ```, which would break issue template front matter
+function unwrapCodeBlock(text) {
+  return /^\s*```(?:markdown|md)?\n([\s\S]*?)\n```\s*$/.exec(text)?.[1] ?? text;
+}
+
+// The LICENSE comes from GitHub's licenses API, not the model: the license is license.key from the
+// config, else the package.json license, else picked from a list when choose is set. Returns
+// { files, name, holder }, or { files: null, reason } when there is no license to write.
+async function generateLicense(context, config, { choose }) {
+  // package.json authors are "Name <email> (url)" or { name, email, url }
+  const author = context.packageJson?.author;
+  const holder =
+    config.license.holder ||
+    (await context.getOwnerName()) ||
+    (typeof author === "string" ? author.replace(/\s*[<(].*$/, "") : author?.name) ||
+    null;
+  if (!holder) {
+    return { files: null, reason: "no copyright holder; set license.holder in .repometarc" };
+  }
+
+  let key = config.license.key || licenseKeyFromSpdx(context.packageJson?.license);
+  if (!key && choose) {
+    key = await select({
+      message: chalk.cyan("Pick a license:"),
+      choices: Object.entries(COMMON_LICENSES).map(([value, name]) => ({ name, value })),
+    });
+  }
+  if (!key) {
+    return { files: null, reason: "no license chosen; set license.key in .repometarc or a license in package.json" };
+  }
+
+  const license = await context.getLicense(key);
+  if (!license) {
+    return { files: null, reason: `GitHub has no license with the key "${key}"` };
+  }
+
+  const path = context.findFile(LICENSE_FILE) || "LICENSE";
+  return {
+    files: { [path]: fillLicense(license.body, { year: new Date().getFullYear(), holder }) },
+    name: license.name,
+    holder,
+  };
+}
+
+// Keep package.json, Cargo.toml and pyproject.toml in step with the repository's metadata, in the
+// direction set by manifests.direction. to-manifests returns { files } with the manifests that
+// change, given each value from `values` (this run's metadata) or else the repository's current
+// one. to-github returns { values, sources }: the description, website and topics the manifests
+// declare where they differ from the repository's, skipping fields already in `values`, and the
+// manifest each was taken from. Manifests that don't parse are left alone and listed in warnings.
+async function syncManifests(context, values, config) {
+  const manifests = [];
+  const warnings = [];
+  for (const path of MANIFEST_PATHS) {
+    const text = await context.readFile(path);
+    if (text === null) continue;
+    try {
+      manifests.push({ path, text, metadata: readManifestMetadata(path, text) });
+    } catch (error) {
+      warnings.push(`${path} was skipped: ${error.message}`);
+    }
+  }
+
+  if (config.manifests.direction === "to-manifests") {
+    const metadata = {
+      description: values.description ?? context.description,
+      homepage: values.website ?? context.homepage,
+      topics: values.topics ?? context.topics,
+      // A working copy without a GitHub remote has no repository to link to
+      repository: context.fullName.includes("/") ? `https://github.com/${context.fullName}` : undefined,
+    };
+    const files = {};
+    for (const { path, text } of manifests) {
+      const updated = updateManifest(path, text, metadata);
+      if (updated !== text) files[path] = updated;
+    }
+    return { files, warnings };
+  }
+
+  // The first manifest declaring a value wins, in MANIFEST_PATHS order
+  const declared = (key) => manifests.find(({ metadata }) => metadata[key]?.length > 0);
+  const synced = {};
+  const sources = {};
+
+  const description = declared("description");
+  if (description && values.description === undefined) {
+    const text = description.metadata.description.trim().replace(/\s+/g, " ");
+    if (text.length > MAX_DESCRIPTION_LENGTH) {
+      warnings.push(`The description in ${description.path} is longer than GitHub's ${MAX_DESCRIPTION_LENGTH} characters`);
+    } else if (text !== context.description) {
+      synced.description = text;
+      sources.description = description.path;
+    }
+  }
+
+  const homepage = declared("homepage");
+  if (homepage && values.website === undefined) {
+    const url = homepage.metadata.homepage.trim();
+    const problem = checkHomepage(url, context.fullName);
+    if (problem) {
+      warnings.push(`The homepage in ${homepage.path} was skipped: ${problem}`);
+    } else if (url !== context.homepage) {
+      synced.website = url;
+      sources.website = homepage.path;
+    }
+  }
+
+  const keywords = declared("topics");
+  if (keywords && values.topics === undefined) {
+    const { required, forbidden, locked } = config.topics;
+    const topics = mergeTopics(context.topics, parseTopics(keywords.metadata.topics.join(","), { forbidden }), {
+      strategy: "replace",
+      count: MAX_TOPICS,
+      required,
+      locked,
+    });
+    // GitHub doesn't keep topics in order, so only a different set counts as a change
+    if (JSON.stringify([...topics].sort()) !== JSON.stringify([...context.topics].sort())) {
+      synced.topics = topics;
+      sources.topics = keywords.path;
+    }
+  }
+
+  return { values: synced, sources, warnings };
+}
+
+// Run the application
+main()
+  .then((exitCode) => process.exit(exitCode))
+  .catch((error) => {
+    // Also when the budget ran out, which stops the run here
+    const used = usage.summarize().requests > 0;
+    if (used) {
+      displayUsage();
+    }
+    if (jsonOutput) {
+      console.log(JSON.stringify({ status: "error", error: error.message, ...(used && { usage: usageReport() }) }, null, 2));
+    }
+    console.error(chalk.red("✗") + ` Fatal error: ${error.message}`);
+    process.exit(EXIT_CODES.ERROR);
+  });
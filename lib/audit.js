@@ -0,0 +1,158 @@
+import { getTreeSha } from "./context.js";
+import { COMMUNITY_FILES, README_FILE, LICENSE_FILE } from "./community.js";
+
+// Checks a repository is scored on, with their weight in the 0-100 score
+export const AUDIT_CHECKS = {
+  description: { label: "Description", weight: 15 },
+  website: { label: "Website", weight: 10 },
+  topics: { label: "Topics", weight: 10 },
+  readme: { label: "README", weight: 15 },
+  readmeLength: { label: "README length", weight: 5 },
+  license: { label: "License", weight: 15 },
+  contributing: { label: "CONTRIBUTING", weight: 10 },
+  security: { label: "SECURITY.md", weight: 10 },
+  issueTemplates: { label: "Issue templates", weight: 5 },
+  descriptionFresh: { label: "Description matches package.json", weight: 5 },
+};
+
+// Sort orders for the audit table; the lowest scores come first by default
+export const AUDIT_SORTS = {
+  score: { label: "lowest score", compare: (a, b) => (a.score ?? -1) - (b.score ?? -1) || a.repository.localeCompare(b.repository) },
+  name: { label: "name", compare: (a, b) => a.repository.localeCompare(b.repository) },
+};
+
+export const AUDIT_REPORT_FORMATS = ["md", "csv", "json"];
+
+// Score a repository from its listing and the files on its default branch; no LLM is involved.
+// The files only change with the tree sha, so what was read from them is cached by it.
+// Returns { repository, score, checks: { [id]: { passed, detail } }, error }; a check that doesn't
+// apply (the README length when there is no README) has passed: null and doesn't count.
+export async function auditRepository(octokit, repo, { cache = null, minReadmeLength = 500 } = {}) {
+  const result = { repository: repo.full_name, score: null, checks: {}, error: null };
+
+  let facts;
+  try {
+    const treeSha = await getTreeSha(octokit, repo);
+    facts = await (cache
+      ? cache.remember("audit", { repository: repo.full_name, treeSha }, () => readFacts(octokit, repo, treeSha))
+      : readFacts(octokit, repo, treeSha));
+  } catch (error) {
+    // Empty repositories have no default branch to read
+    if (error.status !== 404 && error.status !== 409) {
+      result.error = error.message;
+      return result;
+    }
+    facts = { readme: null, readmeLength: 0, contributing: null, security: null, issueTemplates: 0, licenseFile: null, packageDescription: null };
+  }
+
+  const check = (passed, detail = null) => ({ passed, detail });
+  const { checks } = result;
+  checks.description = check(Boolean(repo.description?.trim()));
+  checks.website = check(Boolean(repo.homepage?.trim()));
+  checks.topics = check((repo.topics || []).length > 0, `${(repo.topics || []).length} topics`);
+  checks.readme = check(Boolean(facts.readme), facts.readme);
+  checks.readmeLength = facts.readme
+    ? check(facts.readmeLength >= minReadmeLength, `${facts.readmeLength} characters`)
+    : check(null);
+  const license = repo.license && repo.license.key !== "other" ? repo.license.spdx_id : facts.licenseFile;
+  checks.license = check(Boolean(license), license);
+  checks.contributing = check(Boolean(facts.contributing), facts.contributing);
+  checks.security = check(Boolean(facts.security), facts.security);
+  checks.issueTemplates = check(facts.issueTemplates > 0, `${facts.issueTemplates} templates`);
+  checks.descriptionFresh =
+    facts.packageDescription && repo.description
+      ? check(sameDescription(repo.description, facts.packageDescription), `package.json: ${facts.packageDescription}`)
+      : check(null);
+
+  const applicable = Object.entries(checks).filter(([, { passed }]) => passed !== null);
+  const total = applicable.reduce((sum, [id]) => sum + AUDIT_CHECKS[id].weight, 0);
+  const earned = applicable.filter(([, { passed }]) => passed).reduce((sum, [id]) => sum + AUDIT_CHECKS[id].weight, 0);
+  result.score = total > 0 ? Math.round((earned / total) * 100) : 0;
+  return result;
+}
+
+// What the checks need from the files: community file paths, the README length and the
+// package.json description
+async function readFacts(octokit, repo, treeSha) {
+  const owner = repo.owner.login;
+  const { data: tree } = await octokit.rest.git.getTree({ owner, repo: repo.name, tree_sha: treeSha, recursive: "1" });
+  const paths = tree.tree.filter((item) => item.type === "blob");
+  const find = (pattern) => paths.find((item) => pattern.test(item.path)) || null;
+
+  const readBlob = async (item) => {
+    const { data: blob } = await octokit.rest.git.getBlob({ owner, repo: repo.name, file_sha: item.sha });
+    return Buffer.from(blob.content, blob.encoding === "base64" ? "base64" : "utf8").toString("utf8");
+  };
+
+  const readme = find(README_FILE);
+  const manifest = paths.find((item) => item.path === "package.json");
+  let packageDescription = null;
+  if (manifest) {
+    try {
+      packageDescription = JSON.parse(await readBlob(manifest)).description || null;
+    } catch (error) {
+      // A package.json that doesn't parse has no description to compare with
+    }
+  }
+
+  return {
+    readme: readme?.path ?? null,
+    readmeLength: readme ? (await readBlob(readme)).trim().length : 0,
+    contributing: find(COMMUNITY_FILES.contributing.pattern)?.path ?? null,
+    security: find(COMMUNITY_FILES.security.pattern)?.path ?? null,
+    issueTemplates: paths.filter((item) => COMMUNITY_FILES["issue-templates"].pattern.test(item.path)).length,
+    licenseFile: find(LICENSE_FILE)?.path ?? null,
+    packageDescription,
+  };
+}
+
+// Descriptions that only differ in case, spacing or a final full stop are the same
+function sameDescription(a, b) {
+  const normalize = (text) => text.trim().toLowerCase().replace(/\s+/g, " ").replace(/\.$/, "");
+  return normalize(a) === normalize(b);
+}
+
+export function sortAuditResults(results, sort) {
+  return [...results].sort(AUDIT_SORTS[sort].compare);
+}
+
+// The audit as a Markdown, CSV or JSON report
+export function formatAuditReport(results, format, { createdAt = new Date().toISOString() } = {}) {
+  const ids = Object.keys(AUDIT_CHECKS);
+  const mark = { true: "yes", false: "no", null: "n/a" };
+
+  if (format === "json") {
+    return JSON.stringify({ createdAt, checks: AUDIT_CHECKS, repositories: results }, null, 2) + "\n";
+  }
+
+  if (format === "csv") {
+    const cell = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    const rows = [
+      ["repository", "score", ...ids, "error"],
+      ...results.map((result) => [
+        result.repository,
+        result.score ?? "",
+        ...ids.map((id) => (result.error ? "" : mark[result.checks[id].passed])),
+        result.error ?? "",
+      ]),
+    ];
+    return rows.map((row) => row.map((value) => cell(String(value))).join(",")).join("\n") + "\n";
+  }
+
+  const symbol = { true: "✓", false: "✗", null: "–" };
+  const escape = (text) => text.replace(/\|/g, "\\|");
+  const lines = [
+    "# Repository metadata audit",
+    "",
+    `Generated ${createdAt}. Scores weigh: ${ids.map((id) => `${AUDIT_CHECKS[id].label} ${AUDIT_CHECKS[id].weight}`).join(", ")}.`,
+    "",
+    `| Repository | Score | ${ids.map((id) => AUDIT_CHECKS[id].label).join(" | ")} |`,
+    `|---|---:|${ids.map(() => ":-:").join("|")}|`,
+    ...results.map((result) =>
+      result.error
+        ? `| ${escape(result.repository)} | – | ${escape(result.error)} |${ids.slice(1).map(() => " |").join("")}`
+        : `| ${escape(result.repository)} | ${result.score} | ${ids.map((id) => symbol[result.checks[id].passed]).join(" | ")} |`
+    ),
+  ];
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,80 @@
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile, rename, rm } from "node:fs/promises";
+import { homedir } from "node:os";
+import { dirname, join } from "node:path";
+
+// Entries written by an older version of the cache layout are ignored
+const CACHE_VERSION = 1;
+
+// $XDG_CACHE_HOME/repo-metadata-generator, or ~/.cache/repo-metadata-generator
+export function defaultCacheDir() {
+  return join(process.env.XDG_CACHE_HOME || join(homedir(), ".cache"), "repo-metadata-generator");
+}
+
+// On-disk key/value store. Entries are JSON files grouped by namespace ("repos", "context", "llm", ...)
+// and named by a hash of their key, which can be any JSON value. A disabled cache stores nothing.
+export function createCache({ dir = defaultCacheDir(), enabled = true } = {}) {
+  const pathFor = (namespace, key) => join(dir, namespace, `${hashKey(key)}.json`);
+
+  const cache = {
+    dir,
+    enabled,
+
+    // The cached value, or undefined when there is none. Entries older than ttl seconds don't count.
+    async get(namespace, key, { ttl = Infinity } = {}) {
+      if (!enabled) return undefined;
+
+      let entry;
+      try {
+        entry = JSON.parse(await readFile(pathFor(namespace, key), "utf8"));
+      } catch (error) {
+        // Missing, or cut short by a crash; either way there is nothing to use
+        return undefined;
+      }
+      if (entry.version !== CACHE_VERSION || Date.now() - entry.createdAt > ttl * 1000) {
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(namespace, key, value) {
+      if (!enabled) return;
+
+      const path = pathFor(namespace, key);
+      // Written under a temporary name first, so parallel runs never read half an entry
+      const temporary = `${path}.${process.pid}.tmp`;
+      try {
+        await mkdir(dirname(path), { recursive: true });
+        await writeFile(temporary, JSON.stringify({ version: CACHE_VERSION, createdAt: Date.now(), value }));
+        await rename(temporary, path);
+      } catch (error) {
+        // A cache that can't be written only costs time
+        await rm(temporary, { force: true });
+      }
+    },
+
+    // The cached value, or compute() stored for next time
+    async remember(namespace, key, compute, options) {
+      const cached = await cache.get(namespace, key, options);
+      if (cached !== undefined) return cached;
+
+      const value = await compute();
+      await cache.set(namespace, key, value);
+      return value;
+    },
+
+    async delete(namespace, key) {
+      await rm(pathFor(namespace, key), { force: true });
+    },
+
+    // Remove one namespace, or everything
+    async clear(namespace = null) {
+      await rm(namespace ? join(dir, namespace) : dir, { recursive: true, force: true });
+    },
+  };
+  return cache;
+}
+
+function hashKey(key) {
+  return createHash("sha256").update(JSON.stringify(key)).digest("hex");
+}
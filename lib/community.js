@@ -0,0 +1,125 @@
+// GitHub finds community health files in the root, .github/ and docs/
+const COMMUNITY_DIRS = ["", ".github", "docs"];
+
+const communityFile = (name) => new RegExp(`^(?:\\.github/|docs/)?${name}(?:\\.(?:md|markdown|txt|rst|adoc))?$`, "i");
+export const README_FILE = communityFile("readme");
+const ISSUE_TEMPLATE = /^(?:\.github\/|docs\/)?issue_template(?:\/[^/]+\.(?:md|ya?ml)|\.md)$/i;
+// Only a license in the root counts
+export const LICENSE_FILE = /^(?:licen[cs]e|copying)(?:[.-][\w.-]+)?$/i;
+
+// Community health files that can be generated, by field: the pattern that finds an existing one,
+// and the files written when it is missing, with what the model is asked to put in each. The
+// license text is not written by the model but taken from GitHub's licenses API.
+export const COMMUNITY_FILES = {
+  contributing: {
+    pattern: communityFile("contributing"),
+    files: [
+      {
+        path: "CONTRIBUTING.md",
+        instructions:
+          "Explain how to set the project up for development, run it and its tests, the branch and pull request workflow, and how to report bugs. Take the commands from the manifests and files shown; don't invent tooling the repository doesn't use.",
+      },
+    ],
+  },
+  "code-of-conduct": {
+    pattern: communityFile("code_of_conduct"),
+    files: [
+      {
+        path: "CODE_OF_CONDUCT.md",
+        instructions:
+          "Adopt the Contributor Covenant, version 2.1, naming this project. For reports, refer to the project maintainers through their GitHub profiles rather than inventing an email address.",
+      },
+    ],
+  },
+  security: {
+    pattern: communityFile("security"),
+    files: [
+      {
+        path: "SECURITY.md",
+        instructions:
+          "Say which versions receive security fixes (the latest release, unless the files show otherwise), how to report a vulnerability privately through GitHub's private vulnerability reporting (the repository's Security tab) rather than a public issue, and what reporters can expect after reporting.",
+      },
+    ],
+  },
+  "issue-templates": {
+    pattern: ISSUE_TEMPLATE,
+    files: [
+      {
+        path: ".github/ISSUE_TEMPLATE/bug_report.md",
+        instructions:
+          "Write a GitHub issue template for bug reports. Start with YAML front matter giving name, about, title, labels (bug) and assignees (empty). Ask for a description, steps to reproduce, expected and actual behaviour, and the environment details that matter for this project (e.g. its runtime and version).",
+      },
+      {
+        path: ".github/ISSUE_TEMPLATE/feature_request.md",
+        instructions:
+          "Write a GitHub issue template for feature requests. Start with YAML front matter giving name, about, title, labels (enhancement) and assignees (empty). Ask for the problem the feature solves, the proposed solution, alternatives considered and any other context.",
+      },
+    ],
+  },
+  "pull-request-template": {
+    pattern: /^(?:\.github\/|docs\/)?pull_request_template(?:\/[^/]+\.md|\.md)$/i,
+    files: [
+      {
+        path: ".github/pull_request_template.md",
+        instructions:
+          "Write a GitHub pull request template asking for a summary of the change, the issue it closes, how it was tested (with this project's test commands, if it has any), and a short checklist for the contributor.",
+      },
+    ],
+  },
+  license: {
+    pattern: LICENSE_FILE,
+    files: [{ path: "LICENSE" }],
+  },
+};
+
+// Licenses offered when none is configured, by their GitHub key
+export const COMMON_LICENSES = {
+  mit: "MIT License",
+  "apache-2.0": "Apache License 2.0",
+  "gpl-3.0": "GNU General Public License v3.0",
+  "agpl-3.0": "GNU Affero General Public License v3.0",
+  "lgpl-3.0": "GNU Lesser General Public License v3.0",
+  "mpl-2.0": "Mozilla Public License 2.0",
+  "bsd-2-clause": 'BSD 2-Clause "Simplified" License',
+  "bsd-3-clause": 'BSD 3-Clause "New" or "Revised" License',
+  unlicense: "The Unlicense",
+};
+
+// Paths of the files in the directories GitHub looks in, including issue template folders.
+// Directories that don't exist (404) and empty repositories (409) have no files.
+export async function listCommunityPaths(octokit, repo) {
+  const list = async (path) => {
+    try {
+      const { data } = await octokit.rest.repos.getContent({ owner: repo.owner.login, repo: repo.name, path });
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      if (error.status === 404 || error.status === 409) return [];
+      throw error;
+    }
+  };
+
+  const entries = (await Promise.all(COMMUNITY_DIRS.map(list))).flat();
+  const templateDirs = entries.filter((entry) => entry.type === "dir" && /^(?:\.github\/|docs\/)?issue_template$/i.test(entry.path));
+  entries.push(...(await Promise.all(templateDirs.map((entry) => list(entry.path)))).flat());
+  return entries.filter((entry) => entry.type === "file").map((entry) => entry.path);
+}
+
+// Community fields with no matching file among paths. A license GitHub detected counts even when
+// the file has an unusual name.
+export function detectMissingCommunityFiles(repo, paths) {
+  return Object.entries(COMMUNITY_FILES)
+    .filter(([field, { pattern }]) => !(field === "license" && repo.license) && !paths.some((path) => pattern.test(path)))
+    .map(([field]) => field);
+}
+
+// GitHub's license key for an SPDX expression from a manifest (e.g. "Apache-2.0" → "apache-2.0");
+// null for expressions that name no single license, like "UNLICENSED" or "(MIT OR Apache-2.0)"
+export function licenseKeyFromSpdx(spdx) {
+  if (typeof spdx !== "string" || !/^[\w.+-]+$/.test(spdx.trim()) || /^unlicensed$/i.test(spdx.trim())) return null;
+  return spdx.trim().toLowerCase().replace(/-(?:only|or-later)$|\+$/, "");
+}
+
+// Fill in the copyright line of a license body from GitHub's licenses API
+export function fillLicense(body, { year, holder }) {
+  return body.replace(/\[year\]/g, String(year)).replace(/\[fullname\]/g, holder);
+}
@@ -0,0 +1,524 @@
+import { readFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import { join, extname, isAbsolute, posix } from "node:path";
+import YAML from "yaml";
+import { FIELD_LABELS, DEFAULT_FIELDS, normalizeField } from "./fields.js";
+import { PROVIDERS, MAX_CANDIDATES } from "./providers.js";
+import { README_MODES } from "./readme.js";
+import { TOPIC_STRATEGIES, validateTopic } from "./topics.js";
+import { REPO_SORTS, DEFAULT_FILTERS, INCLUSION_FILTERS, VISIBILITY_FILTERS, MISSING_FILTERS } from "./repositories.js";
+import { SYNC_DIRECTIONS } from "./manifests.js";
+import { GENERATION_MODES } from "./structured.js";
+import { validateLanguage } from "./translations.js";
+
+// File names looked up in the home directory, the working directory and the repository root
+export const CONFIG_FILE_NAMES = [".repometarc", ".repometarc.json", ".repometarc.yaml", ".repometarc.yml"];
+
+// How file changes such as README.md are pushed; "auto" opens a pull request when the default branch is protected
+export const COMMIT_MODES = ["auto", "pr", "direct"];
+
+export const DEFAULT_CONFIG = {
+  fields: DEFAULT_FIELDS,
+  llm: {
+    fields: {},
+  },
+  prompts: {},
+  generation: {
+    // combined asks for description, website, topics and README.md in one structured request
+    mode: "per-field",
+  },
+  topics: {
+    count: 10,
+    strategy: "merge",
+    required: [],
+    forbidden: [],
+    locked: [],
+  },
+  repos: {
+    owners: [],
+    include: [],
+    exclude: [],
+  },
+  context: {
+    maxFiles: 100,
+    tokenBudget: 8000,
+    maxFileTokens: 2000,
+    configFiles: [
+      "package.json",
+      "Cargo.toml",
+      "pyproject.toml",
+      "setup.py",
+      "setup.cfg",
+      "requirements.txt",
+      "go.mod",
+      "pom.xml",
+      "build.gradle",
+      "build.gradle.kts",
+      "Gemfile",
+      "*.gemspec",
+      "composer.json",
+      "mix.exs",
+      "pubspec.yaml",
+      "Package.swift",
+      "*.csproj",
+      "CMakeLists.txt",
+      "Makefile",
+      "Dockerfile",
+      "docker-compose.yml",
+      "deno.json",
+    ],
+    exclude: [],
+  },
+  readme: {
+    // improve only fills in missing and generator-owned sections of an existing README
+    mode: "replace",
+    sections: [
+      "Project title and description",
+      "Features (based on the files and structure)",
+      "Installation instructions",
+      "Usage examples",
+      "Contributing guidelines",
+      "License section",
+    ],
+    // Path of a README template with {{slots}}; used instead of the sections when a whole README is written
+    template: null,
+    // Languages the translations field translates README.md into, e.g. [zh-CN, ja]
+    languages: [],
+  },
+  display: {
+    pageSize: 15,
+    sort: "updated",
+    filters: DEFAULT_FILTERS,
+  },
+  website: {
+    verify: false,
+  },
+  commit: {
+    mode: "auto",
+    branch: "repo-metadata-generator/update",
+  },
+  cache: {
+    // Defaults to $XDG_CACHE_HOME/repo-metadata-generator or ~/.cache/repo-metadata-generator
+    dir: null,
+    // Seconds a repository listing is reused; contexts and completions don't expire
+    listTtl: 600,
+  },
+  journal: {
+    // Defaults to $XDG_STATE_HOME/repo-metadata-generator or ~/.local/state/repo-metadata-generator
+    dir: null,
+  },
+  audit: {
+    // READMEs shorter than this many characters count as too short
+    minReadmeLength: 500,
+  },
+  license: {
+    // GitHub license key (e.g. "mit"); defaults to the package.json license, or is asked for
+    key: null,
+    // Copyright holder; defaults to the owner's GitHub profile name
+    holder: null,
+  },
+  manifests: {
+    // to-manifests writes the repository's metadata into package.json, Cargo.toml and pyproject.toml;
+    // to-github takes it from them
+    direction: "to-manifests",
+  },
+  usage: {
+    // Budget of a run: no further LLM requests are made once this many US dollars or tokens are spent
+    maxCost: null,
+    maxTokens: null,
+    // Prices in US dollars per million tokens by model, e.g. { "gpt-4o-mini": { input: 0.15, output: 0.6 } };
+    // added to the built-in ones
+    prices: {},
+  },
+};
+
+// Placeholders available in custom prompt templates, e.g. "Describe {{name}} in one line"
+export const PROMPT_PLACEHOLDERS = [
+  "name",
+  "fullName",
+  "language",
+  "description",
+  "topics",
+  "files",
+  "packageJson",
+  "manifests",
+  "sources",
+  "topicCount",
+  "requiredTopics",
+  "forbiddenTopics",
+  "readmeSections",
+];
+
+export class ConfigError extends Error {
+  constructor(source, message) {
+    super(`Invalid config ${source}: ${message}`);
+    this.name = "ConfigError";
+  }
+}
+
+// Load the user config (~/.repometarc) and the project config (./.repometarc, or an explicit path),
+// merged over the defaults. Returns the merged config and the files it came from.
+export async function loadConfig({ path = null, cwd = process.cwd(), home = homedir() } = {}) {
+  const sources = [];
+  let config = DEFAULT_CONFIG;
+
+  const userFile = await findConfigFile(home);
+  const projectFile = path ? { path, text: await readConfigText(path) } : await findConfigFile(cwd);
+
+  for (const file of [userFile, projectFile]) {
+    // The working directory may be the home directory
+    if (!file || sources.includes(file.path)) continue;
+    config = mergeConfig(config, parseConfig(file.text, file.path));
+    sources.push(file.path);
+  }
+
+  return { config, sources };
+}
+
+// Fetch a .repometarc committed at the root of a GitHub repository; returns null when there is none
+export async function loadRepositoryConfig(octokit, repo) {
+  let entries;
+  try {
+    const { data } = await octokit.rest.repos.getContent({
+      owner: repo.owner.login,
+      repo: repo.name,
+      path: "",
+    });
+    entries = Array.isArray(data) ? data : [];
+  } catch (error) {
+    // Empty repositories have no root directory
+    if (error.status === 404 || error.status === 409) return null;
+    throw error;
+  }
+
+  const name = CONFIG_FILE_NAMES.find((candidate) => entries.some((entry) => entry.type === "file" && entry.name === candidate));
+  if (!name) return null;
+
+  const { data: file } = await octokit.rest.repos.getContent({
+    owner: repo.owner.login,
+    repo: repo.name,
+    path: name,
+  });
+  const source = `${repo.full_name}:${name}`;
+  return parseConfig(Buffer.from(file.content, "base64").toString(), source);
+}
+
+// Read a .repometarc at the root of a working copy on disk; returns { config, path }, or null when there is none
+export async function loadLocalRepositoryConfig(root) {
+  const file = await findConfigFile(root);
+  return file ? { config: parseConfig(file.text, file.path), path: file.path } : null;
+}
+
+// A repository's own config may only name a README template inside the repository, which is where
+// it is read from; anything else could have a file from the machine running the tool committed
+export function checkRepositoryConfig(config, source) {
+  const template = config.readme?.template;
+  if (template) {
+    const path = posix.normalize(template.replace(/\\/g, "/"));
+    if (isAbsolute(template) || path.startsWith("/") || path === ".." || path.startsWith("../")) {
+      throw new ConfigError(source, `readme.template must be a path inside the repository, got "${template}"`);
+    }
+  }
+  return config;
+}
+
+// Parse and validate config text; JSON files are parsed strictly, anything else as YAML (a superset of JSON)
+export function parseConfig(text, source) {
+  let raw;
+  try {
+    raw = extname(source) === ".json" ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new ConfigError(source, error.message);
+  }
+
+  // An empty file is a valid, empty config
+  if (raw === null || raw === undefined) return {};
+
+  validateConfig(raw, source);
+  return normalizeConfig(raw);
+}
+
+// Deep-merge configs left to right; arrays and scalars in later configs replace earlier ones
+export function mergeConfig(...configs) {
+  return configs.reduce((merged, config) => mergeObjects(merged, config || {}), {});
+}
+
+// Replace {{placeholder}} markers in a prompt template
+export function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => String(values[name] ?? ""));
+}
+
+// Whether a repository passes the include/exclude globs. Patterns containing "/" are matched
+// against "owner/name", others against the name alone.
+export function isRepositoryIncluded(repo, { include = [], exclude = [] }) {
+  const matches = (pattern) => matchesGlob(pattern, pattern.includes("/") ? repo.full_name : repo.name);
+  if (include.length > 0 && !include.some(matches)) return false;
+  return !exclude.some(matches);
+}
+
+// Case-insensitive glob match: "*" and "?" stay within a path segment, "**" crosses them
+export function matchesGlob(pattern, path) {
+  const source = pattern
+    .split(/(\*\*\/?|\*|\?)/)
+    .map((part) => {
+      if (part === "**/") return "(?:.*/)?";
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`, "i").test(path);
+}
+
+async function findConfigFile(dir) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const path = join(dir, name);
+    try {
+      return { path, text: await readFile(path, "utf8") };
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+  return null;
+}
+
+async function readConfigText(path) {
+  try {
+    return await readFile(path, "utf8");
+  } catch (error) {
+    throw new ConfigError(path, error.code === "ENOENT" ? "file not found" : error.message);
+  }
+}
+
+// Field names may use aliases (e.g. "homepage"); store them under their canonical names
+function normalizeConfig(raw) {
+  const config = structuredClone(raw);
+  if (config.fields) {
+    config.fields = [...new Set(config.fields.map(normalizeField))];
+  }
+  if (config.prompts) {
+    config.prompts = renameFieldKeys(config.prompts);
+  }
+  if (config.llm?.fields) {
+    config.llm.fields = renameFieldKeys(config.llm.fields);
+  }
+  return config;
+}
+
+function renameFieldKeys(object) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [normalizeField(key), value]));
+}
+
+function mergeObjects(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeObjects(base[key], value) : value;
+  }
+  return merged;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Validators take (value, path) and throw a message naming the offending key
+
+function validateConfig(raw, source) {
+  try {
+    configSchema(raw, "");
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw new ConfigError(source, error.message);
+    }
+    throw error;
+  }
+}
+
+class ValidationError extends Error {}
+
+const fail = (path, message) => {
+  throw new ValidationError(`${path || "config"} ${message}`);
+};
+
+const keyPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const object = (shape) => (value, path) => {
+  if (!isPlainObject(value)) fail(path, "must be an object");
+  for (const [key, child] of Object.entries(value)) {
+    if (!shape[key]) fail(keyPath(path, key), `is not a known key (expected one of: ${Object.keys(shape).join(", ")})`);
+    shape[key](child, keyPath(path, key));
+  }
+};
+
+// An object keyed by field name
+const perField = (validator) => (value, path) => {
+  if (!isPlainObject(value)) fail(path, "must be an object");
+  for (const [key, child] of Object.entries(value)) {
+    if (!normalizeField(key)) {
+      fail(keyPath(path, key), `is not a known field (expected one of: ${Object.keys(FIELD_LABELS).join(", ")})`);
+    }
+    validator(child, keyPath(path, key));
+  }
+};
+
+const string = (value, path) => {
+  if (typeof value !== "string" || value.trim() === "") fail(path, "must be a non-empty string");
+};
+
+const number = (min, max) => (value, path) => {
+  if (typeof value !== "number" || Number.isNaN(value) || value < min || value > max) {
+    fail(path, `must be a number between ${min} and ${max}`);
+  }
+};
+
+const integer = (min, max = Infinity) => (value, path) => {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    fail(path, max === Infinity ? `must be an integer of at least ${min}` : `must be an integer between ${min} and ${max}`);
+  }
+};
+
+// An object with keys of any name, e.g. model names
+const record = (validator) => (value, path) => {
+  if (!isPlainObject(value)) fail(path, "must be an object");
+  for (const [key, child] of Object.entries(value)) {
+    validator(child, keyPath(path, key));
+  }
+};
+
+const amount = (value, path) => {
+  if (typeof value !== "number" || !Number.isFinite(value) || value < 0) fail(path, "must be a number of at least 0");
+};
+
+// Input and output price of a model, both required
+const price = (value, path) => {
+  object({ input: amount, output: amount })(value, path);
+  for (const key of ["input", "output"]) {
+    if (value[key] === undefined) fail(keyPath(path, key), "is required");
+  }
+};
+
+const boolean = (value, path) => {
+  if (typeof value !== "boolean") fail(path, "must be true or false");
+};
+
+const list = (item) => (value, path) => {
+  if (!Array.isArray(value)) fail(path, "must be a list");
+  value.forEach((child, index) => item(child, `${path}[${index}]`));
+};
+
+const oneOf = (choices) => (value, path) => {
+  if (!choices.includes(value)) fail(path, `must be one of: ${choices.join(", ")}`);
+};
+
+const fieldName = (value, path) => {
+  if (typeof value !== "string" || !normalizeField(value)) {
+    fail(path, `must be one of: ${Object.keys(FIELD_LABELS).join(", ")}`);
+  }
+};
+
+const topic = (value, path) => {
+  const problem = typeof value === "string" ? validateTopic(value) : "must be a string";
+  if (problem) fail(path, problem);
+};
+
+const language = (value, path) => {
+  const problem = typeof value === "string" ? validateLanguage(value) : "must be a string";
+  if (problem) fail(path, problem);
+};
+
+const template = (value, path) => {
+  string(value, path);
+  for (const [, name] of value.matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+    if (!PROMPT_PLACEHOLDERS.includes(name)) {
+      fail(path, `uses unknown placeholder {{${name}}} (available: ${PROMPT_PLACEHOLDERS.join(", ")})`);
+    }
+  }
+};
+
+const modelSettings = {
+  model: string,
+  temperature: number(0, 2),
+  maxTokens: integer(1),
+  candidates: integer(1, MAX_CANDIDATES),
+};
+
+const configSchema = object({
+  fields: list(fieldName),
+  llm: object({
+    provider: oneOf(Object.keys(PROVIDERS)),
+    baseUrl: string,
+    ...modelSettings,
+    fields: perField(object(modelSettings)),
+  }),
+  prompts: perField(template),
+  generation: object({
+    mode: oneOf(GENERATION_MODES),
+  }),
+  topics: object({
+    count: integer(1, 20),
+    strategy: oneOf(TOPIC_STRATEGIES),
+    required: list(topic),
+    forbidden: list(topic),
+    locked: list(topic),
+  }),
+  repos: object({
+    owners: list(string),
+    include: list(string),
+    exclude: list(string),
+  }),
+  context: object({
+    maxFiles: integer(1),
+    tokenBudget: integer(0),
+    maxFileTokens: integer(1),
+    configFiles: list(string),
+    exclude: list(string),
+  }),
+  readme: object({
+    mode: oneOf(README_MODES),
+    sections: list(string),
+    template: string,
+    languages: list(language),
+  }),
+  display: object({
+    pageSize: integer(1),
+    sort: oneOf(Object.keys(REPO_SORTS)),
+    filters: object({
+      forks: oneOf(INCLUSION_FILTERS),
+      archived: oneOf(INCLUSION_FILTERS),
+      visibility: oneOf(VISIBILITY_FILTERS),
+      language: string,
+      missing: oneOf(MISSING_FILTERS),
+      topic: string,
+    }),
+  }),
+  website: object({
+    verify: boolean,
+  }),
+  commit: object({
+    mode: oneOf(COMMIT_MODES),
+    branch: string,
+  }),
+  cache: object({
+    dir: string,
+    listTtl: integer(0),
+  }),
+  journal: object({
+    dir: string,
+  }),
+  audit: object({
+    minReadmeLength: integer(0),
+  }),
+  license: object({
+    key: string,
+    holder: string,
+  }),
+  manifests: object({
+    direction: oneOf(SYNC_DIRECTIONS),
+  }),
+  usage: object({
+    maxCost: amount,
+    maxTokens: integer(1),
+    prices: record(price),
+  }),
+});
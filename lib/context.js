@@ -0,0 +1,382 @@
+import { readFile as readDiskFile } from "node:fs/promises";
+import { join } from "node:path";
+import { matchesGlob } from "./config.js";
+import { createGitHubClient } from "./github.js";
+
+// Directories holding dependencies or build output; never listed or read
+const VENDORED_DIRS = [
+  "node_modules",
+  "bower_components",
+  "vendor",
+  "third_party",
+  "dist",
+  "build",
+  "out",
+  "target",
+  "coverage",
+  ".git",
+  ".venv",
+  "venv",
+  "__pycache__",
+  ".next",
+  ".nuxt",
+  "Pods",
+];
+
+const BINARY_EXTENSIONS = new Set([
+  "png", "jpg", "jpeg", "gif", "bmp", "ico", "webp", "svg", "psd",
+  "pdf", "zip", "gz", "tgz", "bz2", "xz", "7z", "rar", "tar", "jar", "war",
+  "exe", "dll", "so", "dylib", "a", "o", "class", "pyc", "wasm", "bin",
+  "woff", "woff2", "ttf", "otf", "eot", "mp3", "mp4", "mov", "avi", "wav", "ogg",
+  "db", "sqlite",
+]);
+
+// Lock files are listed but never read: they are long and say little about the project
+const LOCK_FILES = ["package-lock.json", "yarn.lock", "pnpm-lock.yaml", "Cargo.lock", "poetry.lock", "Gemfile.lock", "go.sum", "composer.lock"];
+
+const CODE_EXTENSIONS = ["js", "mjs", "cjs", "ts", "tsx", "jsx", "py", "rs", "go", "rb", "java", "kt", "php", "cs", "swift", "c", "cc", "cpp", "ex", "exs", "sh"];
+const ENTRYPOINT_NAMES = ["index", "main", "app", "server", "cli", "__main__", "lib", "mod"];
+const DOC_EXTENSIONS = ["md", "mdx", "rst", "txt", "adoc"];
+
+// Files read in order of importance; higher scores are read first
+const REASONS = {
+  manifest: { label: "manifest", score: 100 },
+  readme: { label: "existing README", score: 90 },
+  entrypoint: { label: "entrypoint", score: 80 },
+  cli: { label: "CLI definition", score: 70 },
+  docs: { label: "docs", score: 50, limit: 5 },
+  example: { label: "example", score: 40, limit: 3 },
+};
+
+// Files larger than this are not fetched at all
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// Below this many tokens, a truncated file is not worth including
+const MIN_USEFUL_TOKENS = 100;
+
+// Rough token count for budgeting; about four characters per token for English and code
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Build the LLM context for a GitHub repository from its default branch.
+// options: the context section of the config ({ maxFiles, tokenBudget, maxFileTokens, configFiles, exclude })
+// cache: a cache from createCache(); contexts are stored by tree sha, so an unchanged branch is not read again
+export async function buildRepositoryContext(octokit, repo, options, { cache = null } = {}) {
+  const context = createContext(octokit, repo);
+
+  try {
+    const treeSha = await getTreeSha(octokit, repo);
+    const key = { repository: repo.full_name, treeSha, options };
+    const cached = await cache?.get("context", key);
+
+    let entries;
+    if (cached) {
+      entries = cached.entries;
+      Object.assign(context, cached.snapshot);
+    } else {
+      const { data: tree } = await octokit.rest.git.getTree({
+        owner: repo.owner.login,
+        repo: repo.name,
+        tree_sha: treeSha,
+        recursive: "1",
+      });
+      if (tree.truncated) {
+        context.warnings.push("The repository tree is too large to list completely; some files were not considered");
+      }
+      entries = tree.tree
+        .filter((item) => item.type === "blob")
+        .map((item) => ({ path: item.path, size: item.size ?? 0, sha: item.sha }));
+    }
+
+    const readFile = async (entry) => {
+      const { data: blob } = await octokit.rest.git.getBlob({
+        owner: repo.owner.login,
+        repo: repo.name,
+        file_sha: entry.sha,
+      });
+      return Buffer.from(blob.content, blob.encoding === "base64" ? "base64" : "utf8");
+    };
+
+    context.readFile = async (path) => {
+      const entry = entries.find((candidate) => candidate.path === path);
+      return entry ? (await readFile(entry)).toString("utf8") : null;
+    };
+    context.findFile = (pattern) => entries.find((entry) => pattern.test(entry.path))?.path ?? null;
+
+    if (!cached) {
+      const warnings = context.warnings.length;
+      await collectSources(context, entries, readFile, options);
+      // A context missing files that failed to download is not worth keeping
+      if (context.warnings.length === warnings) {
+        const { files, packageJson, sources, tokens } = context;
+        await cache?.set("context", key, { entries, snapshot: { files, packageJson, sources, tokens, warnings: context.warnings } });
+      }
+    }
+  } catch (error) {
+    context.warnings.push(`Could not fetch full repository context: ${error.message}`);
+  }
+
+  return context;
+}
+
+// The sha of the tree at the tip of the default branch; it changes whenever any file does
+export async function getTreeSha(octokit, repo) {
+  const { data: branch } = await octokit.rest.repos.getBranch({
+    owner: repo.owner.login,
+    repo: repo.name,
+    branch: repo.default_branch,
+  });
+  return branch.commit.commit.tree.sha;
+}
+
+// Build the LLM context from a working copy on disk (see readWorkingCopy). octokit is null when the
+// repository isn't on GitHub; GitHub Pages then can't be looked up.
+export async function buildLocalContext(octokit, repo, workingCopy, options) {
+  const context = createContext(octokit, repo);
+  const readEntry = (entry) => readDiskFile(join(workingCopy.root, entry.path));
+
+  context.readFile = async (path) => {
+    const entry = workingCopy.files.find((candidate) => candidate.path === path);
+    return entry ? (await readEntry(entry)).toString("utf8") : null;
+  };
+  context.findFile = (pattern) => workingCopy.files.find((entry) => pattern.test(entry.path))?.path ?? null;
+
+  await collectSources(context, workingCopy.files, readEntry, options);
+  return context;
+}
+
+// Source files as prompt text, each under a heading; maxChars cuts every file shorter
+export function formatSources(sources, maxChars = Infinity) {
+  return sources
+    .map((source) => {
+      const content = source.content.length > maxChars ? `${source.content.substring(0, maxChars)}\n…` : source.content;
+      return `--- ${source.path} (${REASONS[source.reason].label}) ---\n${content}`;
+    })
+    .join("\n\n");
+}
+
+// What went into the context, without file contents (for plans, JSON output and logs)
+export function summarizeSources(context) {
+  return context.sources.map(({ path, reason, tokens, truncated }) => ({ path, reason: REASONS[reason].label, tokens, truncated }));
+}
+
+function createContext(octokit, repo) {
+  return {
+    name: repo.name,
+    fullName: repo.full_name,
+    description: repo.description || "",
+    homepage: repo.homepage || "",
+    language: repo.language || "Unknown",
+    topics: repo.topics || [],
+    // The license GitHub detected: { key, name } (null when none, or one it doesn't recognize)
+    license: repo.license && repo.license.key !== "other" ? { key: repo.license.key, name: repo.license.name } : null,
+    isPrivate: repo.private,
+    defaultBranch: repo.default_branch,
+    files: [],
+    packageJson: null,
+    sources: [],
+    tokens: 0,
+    warnings: [],
+    // Read any file by path, outside the token budget (null when it doesn't exist)
+    readFile: async () => null,
+    // Path of the first file matching a regular expression, listed or not (null when none does)
+    findFile: () => null,
+    // URL of the repository's GitHub Pages site (null when Pages is off)
+    getPagesUrl: async () => {
+      if (!octokit) return null;
+      try {
+        const { data } = await octokit.rest.repos.getPages({ owner: repo.owner.login, repo: repo.name });
+        return data.html_url || null;
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    },
+    // A license from GitHub's licenses API by key, e.g. "mit" (null when GitHub doesn't know it).
+    // The API needs no token, so working copies without GitHub can use it too.
+    getLicense: async (key) => {
+      try {
+        const { data } = await (octokit || createGitHubClient()).rest.licenses.get({ license: key });
+        return data;
+      } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+      }
+    },
+    // The owner's display name for copyright lines: their profile name, else their login
+    getOwnerName: async () => {
+      if (!repo.owner.login) return null;
+      if (!octokit) return repo.owner.login;
+      const { data } = await octokit.rest.users.getByUsername({ username: repo.owner.login });
+      return data.name || data.login;
+    },
+  };
+}
+
+// Rank the listed files, then read the most important ones until the token budget runs out
+async function collectSources(context, entries, readFile, { maxFiles, tokenBudget, maxFileTokens, configFiles, exclude }) {
+  const listed = entries.filter((entry) => !isIgnored(entry.path, exclude));
+  context.files = listed.map((entry) => entry.path).slice(0, maxFiles);
+
+  const candidates = rankFiles(listed, configFiles);
+
+  const add = (candidate, buffer) => {
+    const remaining = tokenBudget - context.tokens;
+    let content = buffer.toString("utf8");
+    if (remaining < MIN_USEFUL_TOKENS || content.includes("\u0000")) return;
+
+    // Parsed before truncation, so long manifests still give the package name and scripts
+    if (candidate.entry.path === "package.json") {
+      try {
+        context.packageJson = JSON.parse(content);
+      } catch (error) {
+        context.warnings.push(`package.json is not valid JSON: ${error.message}`);
+      }
+    }
+
+    const limit = Math.min(maxFileTokens, remaining);
+    const truncated = estimateTokens(content) > limit;
+    if (truncated) {
+      content = content.substring(0, limit * 4);
+    }
+
+    const tokens = estimateTokens(content);
+    context.tokens += tokens;
+    context.sources.push({ path: candidate.entry.path, reason: candidate.reason, tokens, truncated, content });
+  };
+
+  // The budget is planned from blob sizes so that files can be fetched together
+  const readWithinBudget = async (ranked) => {
+    const planned = [];
+    let plannedTokens = context.tokens;
+    for (const candidate of ranked) {
+      if (tokenBudget - plannedTokens < MIN_USEFUL_TOKENS) break;
+      planned.push(candidate);
+      plannedTokens += Math.min(maxFileTokens, Math.ceil(candidate.entry.size / 4));
+    }
+
+    const buffers = await Promise.all(
+      planned.map((candidate) =>
+        readFile(candidate.entry).catch((error) => {
+          context.warnings.push(`Could not read ${candidate.entry.path}: ${error.message}`);
+          return null;
+        })
+      )
+    );
+    planned.forEach((candidate, index) => {
+      if (buffers[index]) add(candidate, buffers[index]);
+    });
+  };
+
+  // Manifests are read first so that package.json can point at the real entrypoints
+  await readWithinBudget(candidates.filter((candidate) => candidate.reason === "manifest"));
+
+  const declared = declaredEntrypoints(context.packageJson);
+  const declaredCandidate = (entry) => ({ entry, reason: "entrypoint", score: REASONS.entrypoint.score + 5 });
+  const rest = candidates
+    .filter((candidate) => candidate.reason !== "manifest" && !declared.has(candidate.entry.path))
+    .concat(listed.filter((entry) => declared.has(entry.path) && isReadable(entry)).map(declaredCandidate))
+    .sort(byScore);
+
+  await readWithinBudget(rest);
+}
+
+// Score every readable file that matches a category; unmatched files are only listed by path
+function rankFiles(entries, configFiles) {
+  const counts = {};
+  return entries
+    .filter(isReadable)
+    .map((entry) => classify(entry, configFiles))
+    .filter(Boolean)
+    .sort(byScore)
+    .filter((candidate) => {
+      const { limit } = REASONS[candidate.reason];
+      counts[candidate.reason] = (counts[candidate.reason] || 0) + 1;
+      return !limit || counts[candidate.reason] <= limit;
+    });
+}
+
+function classify(entry, configFiles) {
+  const segments = entry.path.split("/");
+  const name = segments[segments.length - 1];
+  const dirs = segments.slice(0, -1).map((dir) => dir.toLowerCase());
+  const depth = dirs.length;
+  const extension = extensionOf(name);
+  const stem = extension ? name.slice(0, -(extension.length + 1)).toLowerCase() : name.toLowerCase();
+
+  const candidate = (reason) => ({ entry, reason, score: REASONS[reason].score - depth * 5 });
+
+  if (depth <= 2 && configFiles.some((pattern) => matchesGlob(pattern, name))) {
+    return candidate("manifest");
+  }
+  if (depth === 0 && stem === "readme") {
+    return candidate("readme");
+  }
+  // Translations of the README (README.ja.md) repeat it
+  if (/^readme\.[a-z]{2,3}(?:-[a-z0-9]+)*$/.test(stem)) {
+    return null;
+  }
+  if (CODE_EXTENSIONS.includes(extension) || (dirs[0] === "bin" && !extension)) {
+    if (["bin", "cmd", "cli", "commands"].some((dir) => dirs.includes(dir)) || stem === "cli") {
+      return depth <= 3 ? candidate("cli") : null;
+    }
+    if (ENTRYPOINT_NAMES.includes(stem) && depth <= 2 && !dirs.some(isExampleDir) && !dirs.some(isTestDir)) {
+      return candidate("entrypoint");
+    }
+  }
+  if (dirs.some(isExampleDir) && !stem.startsWith(".")) {
+    return candidate("example");
+  }
+  if (DOC_EXTENSIONS.includes(extension) && (["docs", "doc"].includes(dirs[0]) || (depth === 0 && stem !== "changelog" && stem !== "license"))) {
+    return candidate("docs");
+  }
+  return null;
+}
+
+// Files named by package.json "main" and "bin"
+function declaredEntrypoints(packageJson) {
+  const paths = new Set();
+  if (!packageJson) return paths;
+
+  const bins = typeof packageJson.bin === "string" ? [packageJson.bin] : Object.values(packageJson.bin || {});
+  for (const path of [packageJson.main, ...bins]) {
+    if (typeof path === "string") {
+      paths.add(path.replace(/^\.\//, ""));
+    }
+  }
+  return paths;
+}
+
+// Vendored and build directories, plus the configured exclude globs. Patterns containing "/"
+// are matched against the whole path, others against each path segment.
+function isIgnored(path, exclude) {
+  const segments = path.split("/");
+  if (segments.slice(0, -1).some((dir) => VENDORED_DIRS.includes(dir))) return true;
+  return exclude.some((pattern) =>
+    pattern.includes("/") ? matchesGlob(pattern, path) : segments.some((segment) => matchesGlob(pattern, segment))
+  );
+}
+
+function isReadable(entry) {
+  const name = entry.path.split("/").pop();
+  return entry.size <= MAX_FILE_BYTES && !BINARY_EXTENSIONS.has(extensionOf(name)) && !LOCK_FILES.includes(name);
+}
+
+function isExampleDir(dir) {
+  return ["example", "examples", "demo", "demos", "samples"].includes(dir);
+}
+
+function isTestDir(dir) {
+  return ["test", "tests", "__tests__", "spec"].includes(dir);
+}
+
+function extensionOf(name) {
+  const index = name.lastIndexOf(".");
+  return index > 0 ? name.slice(index + 1).toLowerCase() : "";
+}
+
+// Highest score first; shallower and shorter paths break ties
+function byScore(a, b) {
+  return b.score - a.score || a.entry.path.length - b.entry.path.length || a.entry.path.localeCompare(b.entry.path);
+}
@@ -0,0 +1,53 @@
+// Fields that can be generated, with their display labels
+export const FIELD_LABELS = {
+  description: "Description",
+  website: "Website",
+  topics: "Topics",
+  readme: "README.md",
+  contributing: "CONTRIBUTING.md",
+  "code-of-conduct": "CODE_OF_CONDUCT.md",
+  security: "SECURITY.md",
+  "issue-templates": "Issue templates",
+  "pull-request-template": "Pull request template",
+  license: "LICENSE",
+  manifests: "Sync manifests",
+  translations: "README translations",
+};
+
+// Fields whose value is a set of files by path ({ [path]: content }) rather than a single value
+export const FILE_SET_FIELDS = [
+  "contributing",
+  "code-of-conduct",
+  "security",
+  "issue-templates",
+  "pull-request-template",
+  "license",
+  "manifests",
+  "translations",
+];
+
+// Fields generated when the config doesn't list any; community files, manifests and translations
+// are opted into
+export const DEFAULT_FIELDS = ["description", "website", "topics", "readme"];
+
+// Alternative spellings accepted on the command line and in config files
+export const FIELD_ALIASES = {
+  homepage: "website",
+  "readme.md": "readme",
+  "contributing.md": "contributing",
+  "code_of_conduct.md": "code-of-conduct",
+  "security.md": "security",
+  "issue-template": "issue-templates",
+  "pr-template": "pull-request-template",
+  licence: "license",
+  "sync-manifests": "manifests",
+  manifest: "manifests",
+  "readme-translations": "translations",
+  translation: "translations",
+};
+
+// Resolve an alias to its field name; returns null for unknown fields
+export function normalizeField(name) {
+  const field = FIELD_ALIASES[name.toLowerCase()] || name.toLowerCase();
+  return FIELD_LABELS[field] ? field : null;
+}
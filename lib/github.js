@@ -0,0 +1,84 @@
+import { Octokit } from "@octokit/rest";
+import { withRetry, rateLimitReset, isRateLimited, isAnnouncedRateLimit, responseHeaders } from "./retry.js";
+
+// Requests that can be repeated after a server error or a dropped connection. A write may have been
+// applied before the answer got lost, and repeating it would open a second pull request or commit.
+const SAFE_METHODS = ["GET", "HEAD"];
+
+// Create an Octokit client whose requests are retried on rate limits, server errors and dropped
+// connections (writes only on rate limits that say when to retry), and whose errors say what went
+// wrong in terms of the token and the repository.
+// onRetry: see withRetry
+export function createGitHubClient(token, { onRetry } = {}) {
+  const octokit = new Octokit({ auth: token });
+
+  octokit.hook.wrap("request", async (request, options) => {
+    try {
+      const safe = SAFE_METHODS.includes((options.method || "GET").toUpperCase());
+      return await withRetry(() => request(options), { onRetry, retryable: safe ? undefined : isAnnouncedRateLimit });
+    } catch (error) {
+      // The status stays, so callers can still handle expected 404s
+      if (error.status) {
+        error.message = describeGitHubError(error, options);
+      }
+      throw error;
+    }
+  });
+
+  return octokit;
+}
+
+function describeGitHubError(error, options) {
+  const headers = responseHeaders(error);
+  const target = options.owner && options.repo ? `${options.owner}/${options.repo}` : options.url;
+
+  if (error.status === 401) {
+    return "GitHub rejected the token (bad credentials). Check that GITHUB_TOKEN is correct and hasn't expired or been revoked.";
+  }
+
+  const reset = rateLimitReset(error);
+  if (reset) {
+    return `GitHub API rate limit exceeded; it resets at ${reset.resetAt.toLocaleTimeString()}.`;
+  }
+  if (isRateLimited(error)) {
+    return "GitHub secondary rate limit reached; wait a few minutes before trying again, or lower --concurrency.";
+  }
+
+  if (error.status === 403) {
+    const missing = missingScopes(headers);
+    if (missing) {
+      return `The GitHub token lacks ${missing} needed for ${target}. ${error.message}`;
+    }
+    return `GitHub refused access to ${target}: ${error.message}`;
+  }
+
+  if (error.status === 404) {
+    // GitHub answers 404 rather than 403 when a token can't see a private repository
+    const hint =
+      headers["x-oauth-scopes"] !== undefined && !splitList(headers["x-oauth-scopes"]).includes("repo")
+        ? " Private repositories need a token with the repo scope."
+        : "";
+    return `Not found on GitHub: ${target}. It doesn't exist, or the token can't see it.${hint}`;
+  }
+
+  return error.message;
+}
+
+// The scopes (classic tokens) or permissions (fine-grained tokens) a request needed and the token lacked
+function missingScopes(headers) {
+  const accepted = splitList(headers["x-accepted-oauth-scopes"]);
+  const granted = splitList(headers["x-oauth-scopes"]);
+  if (accepted.length > 0 && !accepted.some((scope) => granted.includes(scope))) {
+    return `the ${accepted.join(" or ")} scope (it has: ${granted.join(", ") || "none"})`;
+  }
+
+  const permissions = headers["x-accepted-github-permissions"];
+  if (permissions) {
+    return `the ${permissions.replace(/;\s*/g, " or ")} permission`;
+  }
+  return null;
+}
+
+function splitList(value) {
+  return value ? value.split(/,\s*/).filter(Boolean) : [];
+}
@@ -0,0 +1,106 @@
+import { parse as parseToml } from "smol-toml";
+
+// How long to wait for a homepage to answer when verifying it
+const VERIFY_TIMEOUT_MS = 5000;
+
+// Files that can declare a homepage, in order of preference. Each returns candidate URLs.
+const SIGNALS = [
+  {
+    source: "package.json homepage",
+    path: "package.json",
+    read: (text) => [JSON.parse(text).homepage],
+  },
+  {
+    source: "pyproject.toml project.urls",
+    path: "pyproject.toml",
+    read: (text) => {
+      const { project = {}, tool = {} } = parseToml(text);
+      const urls = lowerCaseKeys(project.urls || {});
+      return [urls.homepage, urls.home, urls.documentation, urls.docs, tool.poetry?.homepage, tool.poetry?.documentation];
+    },
+  },
+  {
+    source: "Cargo.toml [package]",
+    path: "Cargo.toml",
+    read: (text) => {
+      const { package: manifest = {} } = parseToml(text);
+      return [manifest.homepage, manifest.documentation];
+    },
+  },
+  { source: "CNAME", path: "CNAME", read: (text) => [cnameUrl(text)] },
+  { source: "docs/CNAME", path: "docs/CNAME", read: (text) => [cnameUrl(text)] },
+];
+
+// Find the homepage a repository already declares: manifests, a CNAME file, then GitHub Pages.
+// context: a repository context with readFile(path) and getPagesUrl(). Returns { url, source } or null.
+export async function detectHomepage(context, { verify = false } = {}) {
+  const accept = async (url) => !checkHomepage(url, context.fullName) && (!verify || (await urlResolves(url)));
+
+  for (const signal of SIGNALS) {
+    const text = await context.readFile(signal.path);
+    if (text === null) continue;
+
+    let candidates;
+    try {
+      candidates = signal.read(text);
+    } catch (error) {
+      // An unparsable manifest is no signal
+      continue;
+    }
+
+    for (const url of candidates.filter((candidate) => typeof candidate === "string")) {
+      if (await accept(url.trim())) {
+        return { url: url.trim(), source: signal.source };
+      }
+    }
+  }
+
+  const pagesUrl = await context.getPagesUrl();
+  if (pagesUrl && (await accept(pagesUrl))) {
+    return { url: pagesUrl, source: "GitHub Pages" };
+  }
+
+  return null;
+}
+
+// Why a URL can't be used as the homepage, or null when it can
+export function checkHomepage(url, fullName) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return `"${url}" is not a valid URL`;
+  }
+  if (parsed.protocol !== "https:") return `${url} is not an https URL`;
+  if (!parsed.hostname.includes(".")) return `${url} has no domain name`;
+
+  // A link back to the repository itself adds nothing
+  const path = parsed.pathname.replace(/\/+$/, "").toLowerCase();
+  if (parsed.hostname === "github.com" && fullName && path === `/${fullName.toLowerCase()}`) {
+    return `${url} points back to the repository`;
+  }
+  return null;
+}
+
+// Whether the URL answers with a non-error status, following redirects
+export async function urlResolves(url, { timeout = VERIFY_TIMEOUT_MS } = {}) {
+  try {
+    let response = await fetch(url, { method: "HEAD", redirect: "follow", signal: AbortSignal.timeout(timeout) });
+    // Some servers don't implement HEAD
+    if (response.status === 405 || response.status === 501) {
+      response = await fetch(url, { method: "GET", redirect: "follow", signal: AbortSignal.timeout(timeout) });
+    }
+    return response.status < 400;
+  } catch (error) {
+    return false;
+  }
+}
+
+function cnameUrl(text) {
+  const domain = text.split("\n")[0].trim();
+  return domain ? `https://${domain.replace(/^https?:\/\//, "")}` : null;
+}
+
+function lowerCaseKeys(object) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key.toLowerCase(), value]));
+}
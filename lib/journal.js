@@ -0,0 +1,68 @@
+import { createHash, randomBytes } from "node:crypto";
+import { appendFile, mkdir, readFile } from "node:fs/promises";
+import { homedir } from "node:os";
+import { join } from "node:path";
+
+// $XDG_STATE_HOME/repo-metadata-generator, or ~/.local/state/repo-metadata-generator. Kept apart from
+// the cache, so clearing the cache doesn't lose the record of what was changed.
+export function defaultJournalDir() {
+  return join(process.env.XDG_STATE_HOME || join(homedir(), ".local", "state"), "repo-metadata-generator");
+}
+
+// Append-only record of the changes applied to repositories, one JSON entry per line:
+// { id, createdAt, repository, previous, applied, commit, pullRequest, rollbackOf }
+// previous and applied hold the values before and after the change, only for what was changed:
+// { description, homepage, topics, files }, where files maps each path to its { sha, content }, or to
+// null when the file doesn't exist. commit is { sha, branch } when files were committed, and
+// rollbackOf the id of the entry a rollback undid.
+export function createJournal({ dir = defaultJournalDir() } = {}) {
+  const path = join(dir, "journal.jsonl");
+
+  return {
+    path,
+
+    // Record an entry; returns it with its id and time
+    async append(entry) {
+      const recorded = { id: randomBytes(4).toString("hex"), createdAt: new Date().toISOString(), ...entry };
+      await mkdir(dir, { recursive: true });
+      // A single write per line, so entries from parallel runs don't interleave
+      await appendFile(path, JSON.stringify(recorded) + "\n");
+      return recorded;
+    },
+
+    // Every entry, oldest first
+    async list() {
+      let text;
+      try {
+        text = await readFile(path, "utf8");
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+      return text
+        .split("\n")
+        .filter((line) => line.trim().length > 0)
+        .flatMap((line) => {
+          try {
+            return [JSON.parse(line)];
+          } catch (error) {
+            // A line cut short by a crash
+            return [];
+          }
+        });
+    },
+  };
+}
+
+// The entries still in effect: not rollbacks themselves, and not rolled back since
+export function activeEntries(entries) {
+  const undone = new Set(entries.map((entry) => entry.rollbackOf).filter(Boolean));
+  return entries.filter((entry) => !entry.rollbackOf && !undone.has(entry.id));
+}
+
+// Git's blob sha of a file's content, which is the sha GitHub reports for it. Lets a rollback tell
+// whether a file still holds what was committed without keeping the sha of every commit around.
+export function blobSha(content) {
+  const bytes = Buffer.from(content);
+  return createHash("sha1").update(`blob ${bytes.length}\0`).update(bytes).digest("hex");
+}
@@ -0,0 +1,174 @@
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { readFile, writeFile, mkdir, stat } from "node:fs/promises";
+import { basename, dirname, join, resolve } from "node:path";
+import { FILE_SET_FIELDS } from "./fields.js";
+import { updateManifest } from "./manifests.js";
+
+const run = promisify(execFile);
+
+// Languages guessed from file extensions when the repository isn't on GitHub to report its own
+const LANGUAGES = {
+  js: "JavaScript",
+  mjs: "JavaScript",
+  cjs: "JavaScript",
+  jsx: "JavaScript",
+  ts: "TypeScript",
+  tsx: "TypeScript",
+  py: "Python",
+  rs: "Rust",
+  go: "Go",
+  rb: "Ruby",
+  java: "Java",
+  kt: "Kotlin",
+  php: "PHP",
+  cs: "C#",
+  swift: "Swift",
+  c: "C",
+  cc: "C++",
+  cpp: "C++",
+  ex: "Elixir",
+  exs: "Elixir",
+  sh: "Shell",
+};
+
+// Look at a working copy through git, so ignored files are left out exactly as git leaves them out.
+// Returns { root, files: [{ path, size }], branch, remote: { owner, name } | null }.
+export async function readWorkingCopy(path) {
+  let root;
+  try {
+    root = (await git(resolve(path), "rev-parse", "--show-toplevel")).trim();
+  } catch (error) {
+    throw new Error(`${path} is not a git working copy`);
+  }
+
+  // Tracked files plus untracked ones that .gitignore doesn't exclude
+  const listing = await git(root, "ls-files", "-z", "--cached", "--others", "--exclude-standard");
+  const paths = [...new Set(listing.split("\0").filter(Boolean))];
+  const files = [];
+  for (const filePath of paths) {
+    try {
+      const stats = await stat(join(root, filePath));
+      if (stats.isFile()) files.push({ path: filePath, size: stats.size });
+    } catch (error) {
+      // Deleted from the working tree but not yet from the index
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  // symbolic-ref also works before the first commit
+  const branch = (await git(root, "symbolic-ref", "--short", "HEAD").catch(() => "main")).trim();
+
+  return { root, files, branch, remote: await findGitHubRemote(root) };
+}
+
+// owner/name from a GitHub remote URL (https, ssh or scp-like); null for other hosts
+export function parseGitHubRemote(url) {
+  const match = /github\.com[:/]([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/.exec(url.trim());
+  return match ? { owner: match[1], name: match[2] } : null;
+}
+
+// Stand in for the GitHub API's repository object when there is no GitHub repository to fetch,
+// taking the current metadata from package.json
+export async function describeLocalRepository(workingCopy) {
+  const packageJson = await readPackageJson(workingCopy);
+  const name = workingCopy.remote?.name || basename(workingCopy.root);
+  const owner = workingCopy.remote?.owner || null;
+
+  return {
+    name,
+    full_name: owner ? `${owner}/${name}` : name,
+    owner: { login: owner },
+    description: packageJson?.description || "",
+    homepage: packageJson?.homepage || "",
+    topics: Array.isArray(packageJson?.keywords) ? packageJson.keywords : [],
+    language: guessLanguage(workingCopy.files),
+    private: false,
+    default_branch: workingCopy.branch,
+  };
+}
+
+// The README at the root of the working copy, or null when it has none
+export async function readLocalReadme(workingCopy) {
+  const path = findReadmePath(workingCopy);
+  if (!path) return null;
+  return { path, content: await readFile(join(workingCopy.root, path), "utf8") };
+}
+
+// Write the generated README, community files and manifests, and the description, homepage and
+// topics as package.json fields, into the working tree; returns the paths written
+export async function writeLocalMetadata(workingCopy, generatedData) {
+  const written = [];
+
+  if (generatedData.readme) {
+    const path = findReadmePath(workingCopy) || "README.md";
+    await writeFile(join(workingCopy.root, path), generatedData.readme);
+    written.push(path);
+  }
+
+  for (const field of FILE_SET_FIELDS) {
+    for (const [path, content] of Object.entries(generatedData[field] || {})) {
+      await mkdir(dirname(join(workingCopy.root, path)), { recursive: true });
+      await writeFile(join(workingCopy.root, path), content);
+      written.push(path);
+    }
+  }
+
+  if (workingCopy.files.some((file) => file.path === "package.json")) {
+    const path = join(workingCopy.root, "package.json");
+    const text = await readFile(path, "utf8");
+    const updated = updateManifest("package.json", text, {
+      description: generatedData.description,
+      homepage: generatedData.website,
+      topics: generatedData.topics,
+    });
+    if (updated !== text) {
+      await writeFile(path, updated);
+      if (!written.includes("package.json")) written.push("package.json");
+    }
+  }
+
+  return written;
+}
+
+async function findGitHubRemote(root) {
+  const remotes = (await git(root, "remote")).split("\n").filter(Boolean);
+  // origin first, then the other remotes in git's order
+  for (const remote of [...remotes.filter((name) => name === "origin"), ...remotes.filter((name) => name !== "origin")]) {
+    const parsed = parseGitHubRemote(await git(root, "remote", "get-url", remote));
+    if (parsed) return parsed;
+  }
+  return null;
+}
+
+async function readPackageJson(workingCopy) {
+  if (!workingCopy.files.some((file) => file.path === "package.json")) return null;
+  try {
+    return JSON.parse(await readFile(join(workingCopy.root, "package.json"), "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+function findReadmePath(workingCopy) {
+  const readmes = workingCopy.files.map((file) => file.path).filter((path) => /^readme(\.[\w]+)?$/i.test(path));
+  return readmes.find((path) => path.toLowerCase() === "readme.md") || readmes[0] || null;
+}
+
+// The language with the most files, by extension
+function guessLanguage(files) {
+  const counts = {};
+  for (const file of files) {
+    const name = file.path.split("/").pop();
+    const extension = name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+    const language = LANGUAGES[extension];
+    if (language) counts[language] = (counts[language] || 0) + 1;
+  }
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : null;
+}
+
+async function git(cwd, ...args) {
+  const { stdout } = await run("git", ["-C", cwd, ...args], { maxBuffer: 64 * 1024 * 1024 });
+  return stdout;
+}
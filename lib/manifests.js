@@ -0,0 +1,308 @@
+import { parse as parseToml } from "smol-toml";
+
+// Which way manifests are synced: to-manifests writes the repository's metadata into them,
+// to-github takes the metadata from them
+export const SYNC_DIRECTIONS = ["to-manifests", "to-github"];
+
+// crates.io accepts at most five keywords of up to 20 characters
+const CARGO_KEYWORD = /^[a-z][a-z0-9_+-]{0,19}$/;
+const MAX_CARGO_KEYWORDS = 5;
+
+// Manifests kept in sync, in order of precedence when reading from them. Each TOML manifest locates
+// the table holding the metadata and the keys within it (null when the file has no such table).
+const MANIFESTS = {
+  "package.json": { read: readPackageJson, update: updatePackageJson },
+  "Cargo.toml": tomlManifest((data) =>
+    data.package
+      ? {
+          table: "package",
+          keys: { description: "description", homepage: "homepage", topics: "keywords", repository: "repository" },
+          keywords: (topics) => topics.filter((topic) => CARGO_KEYWORD.test(topic)).slice(0, MAX_CARGO_KEYWORDS),
+        }
+      : null
+  ),
+  "pyproject.toml": tomlManifest((data) => {
+    if (data.project) {
+      // Fields listed in dynamic are computed by the build backend and must not be set
+      const dynamic = data.project.dynamic || [];
+      const keys = { description: "description", topics: "keywords", homepage: "urls.Homepage", repository: "urls.Repository" };
+      return {
+        table: "project",
+        keys: Object.fromEntries(Object.entries(keys).filter(([, key]) => !dynamic.includes(key.split(".")[0]))),
+      };
+    }
+    if (data.tool?.poetry) {
+      return {
+        table: "tool.poetry",
+        keys: { description: "description", homepage: "homepage", topics: "keywords", repository: "repository" },
+      };
+    }
+    return null;
+  }),
+};
+
+export const MANIFEST_PATHS = Object.keys(MANIFESTS);
+
+// The metadata a manifest declares: { description, homepage, topics, repository }, each undefined
+// when missing. Throws when the manifest doesn't parse.
+export function readManifestMetadata(path, text) {
+  return MANIFESTS[path].read(text);
+}
+
+// The manifest with its metadata set to the given values. Only the lines holding those values
+// change; formatting, comments and key order stay. Empty values and repository links that already
+// point at the repository are left alone.
+// metadata: { description, homepage, topics, repository } (a https://github.com/owner/name URL)
+export function updateManifest(path, text, metadata) {
+  return MANIFESTS[path].update(text, metadata);
+}
+
+function readPackageJson(text) {
+  const data = JSON.parse(text);
+  return {
+    description: data.description || undefined,
+    homepage: data.homepage || undefined,
+    topics: Array.isArray(data.keywords) ? data.keywords : undefined,
+    repository: typeof data.repository === "string" ? data.repository : data.repository?.url,
+  };
+}
+
+function updatePackageJson(text, { description, homepage, topics, repository }) {
+  const current = readPackageJson(text);
+  const fields = {};
+  if (description && description !== current.description) fields.description = description;
+  if (homepage && homepage !== current.homepage) fields.homepage = homepage;
+  if (topics?.length > 0 && JSON.stringify(topics) !== JSON.stringify(current.topics)) fields.keywords = topics;
+  if (repository && !sameRepository(current.repository, repository)) {
+    fields.repository = { type: "git", url: `git+${repository}.git` };
+  }
+  return Object.entries(fields).reduce((updated, [key, value]) => setJsonValue(updated, key, value), text);
+}
+
+// Set a top-level key of a JSON object by rewriting only its value, which stays on one line if it
+// was on one line. A missing key is added after the last one, in the file's indentation.
+function setJsonValue(text, key, value) {
+  const indent = /^[ \t]+(?=")/m.exec(text)?.[0];
+  const format = (value, inline) => {
+    // Minified files stay minified
+    if (!indent) return JSON.stringify(value);
+    if (inline && Array.isArray(value)) return `[${value.map((item) => JSON.stringify(item)).join(", ")}]`;
+    return JSON.stringify(value, null, indent).replace(/\n/g, `\n${indent}`);
+  };
+
+  const member = findJsonMember(text, key);
+  if (member) {
+    const inline = !text.slice(member.start, member.end).includes("\n");
+    return text.slice(0, member.start) + format(value, inline) + text.slice(member.end);
+  }
+
+  const close = text.lastIndexOf("}");
+  const before = text.slice(0, close).trimEnd();
+  const separator = before.endsWith("{") ? "" : ",";
+  const added = `${JSON.stringify(key)}:${indent ? " " : ""}${format(value, false)}`;
+  return indent ? `${before}${separator}\n${indent}${added}\n${text.slice(close)}` : `${before}${separator}${added}${text.slice(close)}`;
+}
+
+// Where the value of a top-level key starts and ends in a JSON object's text (null when missing)
+function findJsonMember(text, key) {
+  const string = /"(?:[^"\\]|\\.)*"/y;
+  const colon = /\s*:\s*/y;
+  let depth = 0;
+  let start = null;
+  const span = (end) => ({ start, end: start + text.slice(start, end).trimEnd().length });
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char === '"') {
+      string.lastIndex = index;
+      const token = string.exec(text)[0];
+      index += token.length - 1;
+      colon.lastIndex = index + 1;
+      const separator = colon.exec(text);
+      // Only keys are followed by a colon
+      if (depth === 1 && start === null && separator && JSON.parse(token) === key) {
+        start = index + 1 + separator[0].length;
+      }
+    } else if (char === "{" || char === "[") {
+      depth++;
+    } else if (char === "}" || char === "]") {
+      depth--;
+      if (depth === 0 && start !== null) return span(index);
+    } else if (char === "," && depth === 1 && start !== null) {
+      return span(index);
+    }
+  }
+  return null;
+}
+
+function tomlManifest(locate) {
+  const lookup = (data, table, key) =>
+    `${table}.${key}`.split(".").reduce((value, part) => {
+      if (!value || typeof value !== "object") return undefined;
+      const match = Object.keys(value).find((name) => name.toLowerCase() === part.toLowerCase());
+      return match === undefined ? undefined : value[match];
+    }, data);
+
+  return {
+    read(text) {
+      const data = parseToml(text);
+      const location = locate(data);
+      const metadata = {};
+      for (const [field, key] of Object.entries(location?.keys || {})) {
+        const value = lookup(data, location.table, key);
+        if (typeof value === "string" || Array.isArray(value)) metadata[field] = value;
+      }
+      return metadata;
+    },
+
+    update(text, metadata) {
+      const data = parseToml(text);
+      const location = locate(data);
+      if (!location) return text;
+
+      let updated = text;
+      for (const [field, key] of Object.entries(location.keys)) {
+        let value = metadata[field];
+        if (field === "topics" && value && location.keywords) value = location.keywords(value);
+        if (!value || value.length === 0) continue;
+
+        const current = lookup(data, location.table, key);
+        if (field === "repository" ? sameRepository(current, value) : JSON.stringify(current) === JSON.stringify(value)) continue;
+        // Inherited from a workspace (description.workspace = true) or set in an inline table
+        if (current !== undefined && typeof current !== "string" && !Array.isArray(current)) continue;
+
+        updated = setTomlValue(updated, location.table, key, value);
+      }
+      return updated;
+    },
+  };
+}
+
+// Whether a manifest's repository field (a URL, "owner/name" or "github:owner/name") points at the
+// repository given as a https://github.com/owner/name URL
+function sameRepository(value, repository) {
+  if (typeof value !== "string") return false;
+  const name = (text) =>
+    /^(?:git\+)?(?:https?:\/\/|git:\/\/|ssh:\/\/git@|git@)?(?:github\.com[:/]|github:)?([\w.-]+\/[\w.-]+?)(?:\.git)?\/?$/i
+      .exec(text.trim())?.[1]
+      .toLowerCase();
+  return Boolean(name(value)) && name(value) === name(repository);
+}
+
+// Set table.key in a TOML document by rewriting only the lines of its current value. A missing key
+// is added after the table's last key, in a new [table.sub] table for dotted keys that have none.
+function setTomlValue(text, table, key, value) {
+  const lines = text.split("\n");
+  const entries = scanToml(lines);
+  const target = `${table}.${key}`.toLowerCase();
+
+  const existing = entries.find((entry) => entry.path?.toLowerCase() === target);
+  if (existing) {
+    const [, indent, keyText] = /^(\s*)(.*?)\s*=/.exec(lines[existing.start]);
+    // Multi-line arrays stay multi-line, with their items indented as before
+    const itemIndent = existing.end - existing.start > 1 ? /^\s*/.exec(lines[existing.start + 1])[0] : null;
+    lines.splice(existing.start, existing.end - existing.start, `${indent}${keyText} = ${formatTomlValue(value, itemIndent, indent)}`);
+    return lines.join("\n");
+  }
+
+  const [head, ...rest] = key.split(".");
+  const subTable = rest.length > 0 ? `${table}.${head}` : table;
+  const line = `${rest.length > 0 ? rest.join(".") : key} = ${formatTomlValue(value, null, "")}`;
+
+  if (rest.length > 0) {
+    // An inline table (urls = { ... }) can't be added to line by line
+    if (entries.some((entry) => entry.path?.toLowerCase() === subTable.toLowerCase())) return text;
+    // Siblings written as dotted keys (urls.Homepage = ...) rule out a [table.sub] header
+    const dotted = entries.filter((entry) => entry.table === table && entry.path?.toLowerCase().startsWith(`${subTable.toLowerCase()}.`));
+    if (dotted.length > 0) {
+      lines.splice(dotted[dotted.length - 1].end, 0, `${key} = ${formatTomlValue(value, null, "")}`);
+      return lines.join("\n");
+    }
+  }
+
+  const tableEnd = (name) => {
+    const inTable = entries.filter((entry) => entry.table === name);
+    return inTable.length > 0 ? inTable[inTable.length - 1].end : -1;
+  };
+
+  let end = tableEnd(subTable);
+  if (end !== -1) {
+    lines.splice(end, 0, line);
+  } else {
+    end = tableEnd(table);
+    if (end === -1) return text;
+    lines.splice(end, 0, "", `[${subTable}]`, line);
+  }
+  return lines.join("\n");
+}
+
+// The headers and key/value pairs of a TOML document, with the lines each spans:
+// { table, path, start, end } (path is null for headers)
+function scanToml(lines) {
+  const entries = [];
+  let table = "";
+  for (let index = 0; index < lines.length; index++) {
+    const header = /^\s*\[\[?\s*([^[\]]+?)\s*\]\]?\s*(?:#.*)?$/.exec(lines[index]);
+    if (header) {
+      table = normalizeTomlKey(header[1]);
+      entries.push({ table, path: null, start: index, end: index + 1 });
+      continue;
+    }
+
+    const pair = /^\s*((?:"[^"]*"|'[^']*'|[\w-]+)(?:\s*\.\s*(?:"[^"]*"|'[^']*'|[\w-]+))*)\s*=(.*)$/.exec(lines[index]);
+    if (!pair) continue;
+
+    // Arrays, inline tables and multi-line strings run until they are closed
+    let value = pair[2];
+    let end = index + 1;
+    while (!isTomlValueComplete(value) && end < lines.length) {
+      value += `\n${lines[end]}`;
+      end++;
+    }
+    const key = normalizeTomlKey(pair[1]);
+    entries.push({ table, path: table ? `${table}.${key}` : key, start: index, end });
+    index = end - 1;
+  }
+  return entries;
+}
+
+function normalizeTomlKey(key) {
+  return key
+    .split(/\s*\.\s*/)
+    .map((part) => part.replace(/^["']|["']$/g, ""))
+    .join(".");
+}
+
+function isTomlValueComplete(text) {
+  let depth = 0;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (text.startsWith('"""', index) || text.startsWith("'''", index)) {
+      const close = text.indexOf(text.slice(index, index + 3), index + 3);
+      if (close === -1) return false;
+      index = close + 2;
+    } else if (char === '"' || char === "'") {
+      // Basic strings can escape their quote; literal strings can't
+      index++;
+      while (index < text.length && text[index] !== char && text[index] !== "\n") {
+        index += char === '"' && text[index] === "\\" ? 2 : 1;
+      }
+    } else if (char === "#") {
+      const newline = text.indexOf("\n", index);
+      if (newline === -1) break;
+      index = newline;
+    } else if (char === "[" || char === "{") {
+      depth++;
+    } else if (char === "]" || char === "}") {
+      depth--;
+    }
+  }
+  return depth <= 0;
+}
+
+// JSON strings are valid TOML basic strings
+function formatTomlValue(value, itemIndent, indent) {
+  if (!Array.isArray(value)) return JSON.stringify(value);
+  if (itemIndent === null) return `[${value.map((item) => JSON.stringify(item)).join(", ")}]`;
+  return `[\n${value.map((item) => `${itemIndent}${JSON.stringify(item)},`).join("\n")}\n${indent}]`;
+}
@@ -0,0 +1,316 @@
+import OpenAI, { AzureOpenAI } from "openai";
+import Anthropic from "@anthropic-ai/sdk";
+import { createHash } from "node:crypto";
+import { withRetry, isRateLimited } from "./retry.js";
+
+// Supported LLM providers, with the environment variable holding their API key (if any)
+export const PROVIDERS = {
+  openai: { label: "OpenAI", apiKeyEnv: "OPENAI_API_KEY", defaultModel: "gpt-4o-mini" },
+  "openai-compatible": { label: "OpenAI-compatible server", apiKeyEnv: null, defaultModel: null },
+  azure: { label: "Azure OpenAI", apiKeyEnv: "AZURE_OPENAI_API_KEY", defaultModel: null },
+  anthropic: { label: "Anthropic", apiKeyEnv: "ANTHROPIC_API_KEY", defaultModel: "claude-3-5-haiku-latest" },
+  ollama: { label: "Ollama", apiKeyEnv: null, defaultModel: "llama3.1" },
+  mock: { label: "Mock (offline)", apiKeyEnv: null, defaultModel: "mock" },
+};
+
+export const DEFAULT_PROVIDER = "openai";
+
+// Most candidate answers asked for per field (see sample)
+export const MAX_CANDIDATES = 10;
+
+// Generation settings per field; model defaults to the provider's default model
+export const DEFAULT_FIELD_SETTINGS = {
+  description: { temperature: 0.7, maxTokens: 100 },
+  website: { temperature: 0.7, maxTokens: 100 },
+  topics: { temperature: 0.7, maxTokens: 150 },
+  readme: { temperature: 0.7, maxTokens: 2000 },
+  contributing: { temperature: 0.7, maxTokens: 1500 },
+  "code-of-conduct": { temperature: 0.7, maxTokens: 2500 },
+  security: { temperature: 0.7, maxTokens: 800 },
+  "issue-templates": { temperature: 0.7, maxTokens: 600 },
+  "pull-request-template": { temperature: 0.7, maxTokens: 600 },
+  translations: { temperature: 0.3, maxTokens: 4000 },
+};
+
+const DEFAULT_OLLAMA_HOST = "http://localhost:11434";
+const DEFAULT_AZURE_API_VERSION = "2024-10-21";
+
+// Create a client that completes prompts for a given field using the field's model settings.
+// settings: { model, temperature, maxTokens, candidates, fields: { [field]: { ... } } }, given at
+// creation or per call (e.g. the llm section of a repository's config)
+// cache: a cache from createCache(); the same prompt to the same model is then only paid for once
+// onRetry: called before waiting out a rate limit or server error (see withRetry)
+// usage: a tracker from createUsageTracker; every request is checked against its budget first and
+// recorded with the tokens the provider reports
+// complete(field, prompt, settings, { refresh }): one answer. refresh skips the cached answer, e.g.
+// when the user asked for another one; the new answer replaces it.
+// sample(field, prompt, settings, { refresh }): the field's number of candidate answers, distinct
+// structured(field, prompt, schema, settings, { refresh, maxTokens }): one answer, a JSON text that
+// follows schema ({ name, schema }) on providers that can enforce one. maxTokens overrides the field's.
+// forRepository(fullName): the same client, with its usage recorded under that repository
+export function createLlm({ provider = DEFAULT_PROVIDER, apiKey, baseURL, settings = {}, cache = null, onRetry, usage = null }) {
+  const backend = createProvider(provider, { apiKey, baseURL });
+
+  const settingsFor = (field, current = settings) => {
+    const resolved = {
+      model: backend.defaultModel,
+      ...DEFAULT_FIELD_SETTINGS[field],
+      ...modelSettings(current),
+      ...modelSettings(current.fields?.[field] || {}),
+    };
+    if (!resolved.model) {
+      throw new Error(`No model configured for the ${PROVIDERS[provider].label} provider. Set one with --model or LLM_MODEL.`);
+    }
+    return resolved;
+  };
+
+  const client = (repository) => {
+    const generate = async (field, prompt, current, { count, refresh, schema = null, tokens }) => {
+      const { model, temperature, maxTokens: fieldTokens } = settingsFor(field, current);
+      const maxTokens = tokens ?? fieldTokens;
+      // Single answers keep the key they had before candidates existed
+      const key = { provider, baseURL, model, temperature, maxTokens, prompt, ...(count > 1 && { candidates: count }), ...(schema && { schema }) };
+      const cached = refresh ? undefined : await cache?.get("llm", key);
+      if (cached !== undefined) {
+        return count > 1 ? cached : [cached];
+      }
+
+      // Cached answers cost nothing, so only requests that reach the provider count against the budget
+      usage?.check(model);
+      const request = async (n) => {
+        const response = await withRetry(() => backend.complete({ field, prompt, model, temperature, maxTokens, n, schema }), { onRetry });
+        usage?.record({ repository, field, model, ...response.usage });
+        return response;
+      };
+      let texts;
+      try {
+        ({ texts } = await request(count));
+        // Providers without n (Anthropic, some OpenAI-compatible servers) answer once per request,
+        // so the remaining candidates are asked for in parallel
+        if (texts.length < count) {
+          const extra = await Promise.all(Array.from({ length: count - texts.length }, () => request(1)));
+          texts = [...texts, ...extra.flatMap((response) => response.texts)];
+        }
+      } catch (error) {
+        error.message = describeLlmError(error, provider, model);
+        throw error;
+      }
+
+      texts = texts.map((text) => text.trim());
+      await cache?.set("llm", key, count > 1 ? texts : texts[0]);
+      return texts;
+    };
+
+    return {
+      provider,
+      settingsFor,
+      async complete(field, prompt, current = settings, { refresh = false } = {}) {
+        const [text] = await generate(field, prompt, current, { count: 1, refresh });
+        return text;
+      },
+      async sample(field, prompt, current = settings, { refresh = false } = {}) {
+        const count = settingsFor(field, current).candidates ?? 1;
+        const texts = await generate(field, prompt, current, { count, refresh });
+        return [...new Set(texts)];
+      },
+      async structured(field, prompt, schema, current = settings, { refresh = false, maxTokens } = {}) {
+        const [text] = await generate(field, prompt, current, { count: 1, refresh, schema, tokens: maxTokens });
+        return text;
+      },
+      forRepository: (fullName) => client(fullName),
+    };
+  };
+
+  return client(null);
+}
+
+// Why a completion failed, in terms of the provider's key, quota and model
+function describeLlmError(error, provider, model) {
+  const { label, apiKeyEnv } = PROVIDERS[provider];
+  if (error.status === 401) {
+    return `${label} rejected the API key${apiKeyEnv ? `; check ${apiKeyEnv}` : ""}. ${error.message}`;
+  }
+  if (error.code === "insufficient_quota") {
+    return `${label} quota exhausted; check your plan and billing. ${error.message}`;
+  }
+  if (isRateLimited(error)) {
+    return `${label} rate limit reached and retries ran out; try again later or lower --concurrency. ${error.message}`;
+  }
+  if (error.status === 404) {
+    return `${label} doesn't know the model "${model}". ${error.message}`;
+  }
+  return `${label} request failed: ${error.message}`;
+}
+
+// The SDKs' own retries are turned off; createLlm retries with the same policy as GitHub requests
+function createProvider(provider, { apiKey, baseURL }) {
+  const defaultModel = PROVIDERS[provider]?.defaultModel;
+
+  switch (provider) {
+    case "openai":
+      return createChatCompletionsProvider(new OpenAI({ apiKey, baseURL, maxRetries: 0 }), defaultModel);
+
+    case "openai-compatible":
+      if (!baseURL) {
+        throw new Error("The openai-compatible provider needs a base URL. Set it with --base-url or LLM_BASE_URL.");
+      }
+      // Local servers usually ignore the key, but the client refuses to start without one
+      return createChatCompletionsProvider(new OpenAI({ apiKey: apiKey || "not-needed", baseURL, maxRetries: 0 }), defaultModel);
+
+    case "azure":
+      // The model is used as the deployment name
+      return createChatCompletionsProvider(
+        new AzureOpenAI({
+          apiKey,
+          endpoint: baseURL || process.env.AZURE_OPENAI_ENDPOINT,
+          apiVersion: process.env.OPENAI_API_VERSION || DEFAULT_AZURE_API_VERSION,
+          maxRetries: 0,
+        }),
+        defaultModel
+      );
+
+    case "ollama":
+      // Ollama serves an OpenAI-compatible API under /v1
+      return createChatCompletionsProvider(
+        new OpenAI({
+          apiKey: "ollama",
+          baseURL: baseURL || `${(process.env.OLLAMA_HOST || DEFAULT_OLLAMA_HOST).replace(/\/+$/, "")}/v1`,
+          maxRetries: 0,
+        }),
+        defaultModel
+      );
+
+    case "anthropic":
+      return createAnthropicProvider(new Anthropic({ apiKey, baseURL, maxRetries: 0 }), defaultModel);
+
+    case "mock":
+      return createMockProvider();
+
+    default:
+      throw new Error(`Unknown LLM provider "${provider}". Supported providers: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+}
+
+function createChatCompletionsProvider(client, defaultModel) {
+  return {
+    defaultModel,
+    async complete({ prompt, model, temperature, maxTokens, n = 1, schema }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        max_tokens: maxTokens,
+        temperature,
+        ...(n > 1 && { n }),
+        ...(schema && { response_format: { type: "json_schema", json_schema: { ...schema, strict: true } } }),
+      });
+      return {
+        texts: response.choices.map((choice) => choice.message.content || ""),
+        usage: {
+          promptTokens: response.usage?.prompt_tokens ?? 0,
+          completionTokens: response.usage?.completion_tokens ?? 0,
+        },
+      };
+    },
+  };
+}
+
+function createAnthropicProvider(client, defaultModel) {
+  return {
+    defaultModel,
+    async complete({ prompt, model, temperature, maxTokens, schema }) {
+      const response = await client.messages.create({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        max_tokens: maxTokens,
+        temperature,
+        // The Messages API has no JSON mode; a tool the model must call takes the schema instead
+        ...(schema && {
+          tools: [{ name: schema.name, input_schema: schema.schema }],
+          tool_choice: { type: "tool", name: schema.name },
+        }),
+      });
+      const call = response.content.find((block) => block.type === "tool_use");
+      return {
+        texts: [
+          schema
+            ? JSON.stringify(call?.input ?? null)
+            : response.content
+                .filter((block) => block.type === "text")
+                .map((block) => block.text)
+                .join(""),
+        ],
+        usage: {
+          promptTokens: response.usage?.input_tokens ?? 0,
+          completionTokens: response.usage?.output_tokens ?? 0,
+        },
+      };
+    },
+  };
+}
+
+// Deterministic offline provider: the same prompt always gets the same answers
+function createMockProvider() {
+  return {
+    defaultModel: "mock",
+    async complete({ field, prompt, n = 1, schema }) {
+      const texts = Array.from({ length: n }, (_, index) =>
+        schema ? mockStructuredResponse(schema, prompt, index) : mockResponse(field, prompt, index)
+      );
+      return {
+        texts,
+        usage: {
+          promptTokens: Math.ceil(prompt.length / 4),
+          completionTokens: texts.reduce((total, text) => total + Math.ceil(text.length / 4), 0),
+        },
+      };
+    },
+  };
+}
+
+// Candidates after the first differ by their index
+function mockResponse(field, prompt, index) {
+  const hash = createHash("sha256").update(index > 0 ? `${prompt}\n${index}` : prompt).digest("hex").substring(0, 8);
+  const name = (/Repository name: (.+)/.exec(prompt)?.[1] || "project").trim();
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "project";
+
+  const responses = {
+    description: `Mock description for ${name} (${hash})`,
+    website: `https://example.com/${slug}`,
+    topics: `mock, generated, ${slug}${index > 0 ? `, variant-${index}` : ""}`,
+    // Translations echo the README they were given, placeholders included
+    translations: `(${hash})\n\n${/<<<\n([\s\S]*)\n>>>/.exec(prompt)?.[1] ?? ""}`,
+    readme: [
+      `# ${name}`,
+      "",
+      `Mock README generated offline (${hash}).`,
+      "",
+      "## Installation",
+      "",
+      "Installation instructions go here.",
+      "",
+      "## Usage",
+      "",
+      "Usage examples go here.",
+    ].join("\n"),
+  };
+  return responses[field] ?? `Mock response (${hash})`;
+}
+
+// A JSON answer with every key of the schema, filled with the mock answer of the matching field
+function mockStructuredResponse(schema, prompt, index) {
+  const fields = { homepage: "website" };
+  const answer = Object.fromEntries(
+    Object.entries(schema.schema.properties).map(([key, property]) => {
+      const text = mockResponse(fields[key] || key, prompt, index);
+      return [key, property.type === "array" ? text.split(", ") : text];
+    })
+  );
+  return JSON.stringify(answer);
+}
+
+// Only the model settings of a settings object, without unset values
+function modelSettings({ model, temperature, maxTokens, candidates }) {
+  return Object.fromEntries(
+    Object.entries({ model, temperature, maxTokens, candidates }).filter(([, value]) => value !== undefined)
+  );
+}
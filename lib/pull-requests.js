@@ -0,0 +1,120 @@
+// Rule types that stop a plain push to a branch
+const BLOCKING_RULES = ["pull_request", "required_status_checks", "required_signatures", "required_deployments", "update"];
+
+// Whether the branch is protected by classic branch protection or by a ruleset that blocks direct pushes
+export async function isBranchProtected(octokit, repo, branch) {
+  const { data } = await octokit.rest.repos.getBranch({
+    owner: repo.owner.login,
+    repo: repo.name,
+    branch,
+  });
+  if (data.protected) return true;
+
+  try {
+    const { data: rules } = await octokit.rest.repos.getBranchRules({
+      owner: repo.owner.login,
+      repo: repo.name,
+      branch,
+    });
+    return rules.some((rule) => BLOCKING_RULES.includes(rule.type));
+  } catch (error) {
+    // Rulesets are not available on every plan or GitHub Enterprise version
+    if (error.status === 404 || error.status === 403) return false;
+    throw error;
+  }
+}
+
+// Commit files to `branch` and open a pull request against the default branch. When a pull request
+// from that branch is still open, the files are committed on top of it and its title and body are
+// updated instead of opening a duplicate.
+// files: [{ path, content }], where null content deletes the file. Returns { number, url, updated, commit }.
+export async function openOrUpdatePullRequest(octokit, repo, { branch, files, message, title, body }) {
+  const owner = repo.owner.login;
+  const base = repo.default_branch;
+
+  const { data: open } = await octokit.rest.pulls.list({
+    owner,
+    repo: repo.name,
+    state: "open",
+    head: `${owner}:${branch}`,
+    base,
+  });
+  const existing = open[0];
+
+  let parent;
+  if (existing) {
+    parent = existing.head.sha;
+  } else {
+    const { data: ref } = await octokit.rest.git.getRef({ owner, repo: repo.name, ref: `heads/${base}` });
+    parent = ref.object.sha;
+  }
+
+  const commit = await createCommit(octokit, repo, { parent, files, message });
+
+  if (existing) {
+    await octokit.rest.git.updateRef({ owner, repo: repo.name, ref: `heads/${branch}`, sha: commit });
+    const { data: pull } = await octokit.rest.pulls.update({
+      owner,
+      repo: repo.name,
+      pull_number: existing.number,
+      title,
+      body,
+    });
+    return { number: pull.number, url: pull.html_url, updated: true, commit };
+  }
+
+  try {
+    await octokit.rest.git.createRef({ owner, repo: repo.name, ref: `refs/heads/${branch}`, sha: commit });
+  } catch (error) {
+    // The branch is left over from a closed or merged pull request; start it again from the default branch
+    if (error.status !== 422) throw error;
+    await octokit.rest.git.updateRef({ owner, repo: repo.name, ref: `heads/${branch}`, sha: commit, force: true });
+  }
+
+  const { data: pull } = await octokit.rest.pulls.create({
+    owner,
+    repo: repo.name,
+    head: branch,
+    base,
+    title,
+    body,
+  });
+  return { number: pull.number, url: pull.html_url, updated: false, commit };
+}
+
+// Commit files straight onto `branch` in a single commit; returns the commit sha.
+// files: [{ path, content }], where null content deletes the file
+export async function commitToBranch(octokit, repo, { branch, files, message }) {
+  const owner = repo.owner.login;
+  const { data: ref } = await octokit.rest.git.getRef({ owner, repo: repo.name, ref: `heads/${branch}` });
+  const commit = await createCommit(octokit, repo, { parent: ref.object.sha, files, message });
+  // Not forced: if someone pushed in the meantime, this fails instead of dropping their commit
+  await octokit.rest.git.updateRef({ owner, repo: repo.name, ref: `heads/${branch}`, sha: commit });
+  return commit;
+}
+
+// Create a single commit with all files on top of `parent`; returns the new commit sha
+async function createCommit(octokit, repo, { parent, files, message }) {
+  const owner = repo.owner.login;
+
+  const { data: parentCommit } = await octokit.rest.git.getCommit({ owner, repo: repo.name, commit_sha: parent });
+  const { data: tree } = await octokit.rest.git.createTree({
+    owner,
+    repo: repo.name,
+    base_tree: parentCommit.tree.sha,
+    tree: files.map((file) =>
+      // A null sha removes the path from the tree
+      file.content === null
+        ? { path: file.path, mode: "100644", type: "blob", sha: null }
+        : { path: file.path, mode: "100644", type: "blob", content: file.content }
+    ),
+  });
+  const { data: commit } = await octokit.rest.git.createCommit({
+    owner,
+    repo: repo.name,
+    message,
+    tree: tree.sha,
+    parents: [parent],
+  });
+  return commit.sha;
+}
@@ -0,0 +1,128 @@
+import { parse as parseToml } from "smol-toml";
+import { LICENSE_FILE, licenseKeyFromSpdx } from "./community.js";
+
+// Slots a README template can use that are filled from the repository, never by the model. Any
+// other slot is written by the model, e.g. {{overview}} or {{features: a bullet list of the main features}}.
+export const DATA_SLOTS = ["name", "fullName", "description", "language", "badges", "license", "install"];
+
+// What the model is asked for when a narrative slot gives no instructions of its own
+const NARRATIVE_SLOTS = {
+  overview: "A short overview of what the project does and who it is for",
+  features: "A bullet list of the main features, based on the files and structure",
+  usage: "Usage examples, based on the entrypoints and CLI definitions",
+};
+
+// {{slot}} or {{slot: instructions}}
+const SLOT_PATTERN = /\{\{\s*([\w-]+)\s*(?::\s*([^}]*?)\s*)?\}\}/g;
+
+// The narrative slots of a template, each once: [{ name, instructions }]
+export function findNarrativeSlots(template) {
+  const slots = new Map();
+  for (const [, name, instructions] of template.matchAll(SLOT_PATTERN)) {
+    if (DATA_SLOTS.includes(name) || slots.has(name)) continue;
+    slots.set(name, instructions || NARRATIVE_SLOTS[name] || name.replace(/[-_]+/g, " "));
+  }
+  return [...slots].map(([name, instructions]) => ({ name, instructions }));
+}
+
+// Fill every slot of a template from values by slot name; slots without a value are left empty
+export function renderReadmeTemplate(template, values) {
+  return template.replace(SLOT_PATTERN, (_, name) => String(values[name] ?? ""));
+}
+
+// Values for the data slots. licenseKey: the license to name when GitHub detected none in the
+// repository (e.g. license.key from the config)
+export async function readTemplateData(context, { licenseKey = null } = {}) {
+  const install = await installCommands(context);
+  return {
+    name: context.name,
+    fullName: context.fullName,
+    description: context.description,
+    language: context.language === "Unknown" ? "" : context.language,
+    badges: readmeBadges(context).join(" "),
+    license: (await licenseName(context, licenseKey)) || "",
+    install: ["```bash", ...install, "```"].join("\n"),
+  };
+}
+
+// shields.io badges in Markdown: the npm version of a published package, then the license, CI
+// status and top language. The last three read the repository through GitHub's API, so private
+// repositories and working copies without a GitHub remote don't get them.
+export function readmeBadges(context) {
+  const badges = [];
+  const pkg = context.packageJson;
+  if (pkg?.name && !pkg.private) {
+    badges.push(`[![npm](https://img.shields.io/npm/v/${pkg.name})](https://www.npmjs.com/package/${pkg.name})`);
+  }
+  if (context.isPrivate || !context.fullName.includes("/")) {
+    return badges;
+  }
+
+  const repoUrl = `https://github.com/${context.fullName}`;
+  if (context.license) {
+    const path = context.findFile(LICENSE_FILE) || "LICENSE";
+    badges.push(`[![License](https://img.shields.io/github/license/${context.fullName})](${repoUrl}/blob/${context.defaultBranch}/${path})`);
+  }
+  const workflows = context.files.filter((path) => /^\.github\/workflows\/[^/]+\.ya?ml$/.test(path));
+  const workflow = (workflows.find((path) => /\/(?:ci|test|tests|build)\.ya?ml$/.test(path)) || workflows[0])?.split("/").pop();
+  if (workflow) {
+    badges.push(`[![CI](https://img.shields.io/github/actions/workflow/status/${context.fullName}/${workflow})](${repoUrl}/actions/workflows/${workflow})`);
+  }
+  if (context.language !== "Unknown") {
+    badges.push(`[![Language](https://img.shields.io/github/languages/top/${context.fullName})](${repoUrl})`);
+  }
+  return badges;
+}
+
+// Commands installing the project, from the first manifest that names a package: npm, cargo, pip or
+// go. Projects without one are installed from a clone.
+export async function installCommands(context) {
+  const pkg = context.packageJson;
+  if (pkg?.name && !pkg.private) {
+    return [pkg.bin ? `npm install --global ${pkg.name}` : `npm install ${pkg.name}`];
+  }
+
+  const cargo = await readToml(context, "Cargo.toml");
+  if (cargo?.package?.name) {
+    const binary = cargo.bin || context.files.includes("src/main.rs");
+    return [binary ? `cargo install ${cargo.package.name}` : `cargo add ${cargo.package.name}`];
+  }
+
+  const pyproject = await readToml(context, "pyproject.toml");
+  const pythonName = pyproject?.project?.name || pyproject?.tool?.poetry?.name;
+  if (pythonName) {
+    return [`pip install ${pythonName}`];
+  }
+
+  const goMod = context.files.includes("go.mod") ? await context.readFile("go.mod") : null;
+  const module = /^module\s+(\S+)/m.exec(goMod || "")?.[1];
+  if (module) {
+    return [context.files.includes("main.go") ? `go install ${module}@latest` : `go get ${module}`];
+  }
+
+  const clone = context.fullName.includes("/")
+    ? [`git clone https://github.com/${context.fullName}.git`, `cd ${context.name}`]
+    : [`cd ${context.name}`];
+  return pkg ? [...clone, "npm install"] : clone;
+}
+
+// The name GitHub gives the repository's license, else the one of licenseKey or the package.json
+// license; null when there is none
+async function licenseName(context, licenseKey) {
+  if (context.license) {
+    return context.license.name;
+  }
+  const key = licenseKey || licenseKeyFromSpdx(context.packageJson?.license);
+  return key ? (await context.getLicense(key))?.name || null : null;
+}
+
+// A TOML manifest, or null when it is missing or doesn't parse
+async function readToml(context, path) {
+  const text = context.files.includes(path) ? await context.readFile(path) : null;
+  if (!text) return null;
+  try {
+    return parseToml(text);
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,196 @@
+// How the readme field treats an existing README: "improve" fills in missing sections and
+// regenerates the sections the generator owns; "replace" rewrites the whole file
+export const README_MODES = ["improve", "replace"];
+
+// Generator-owned sections are wrapped in these comments, e.g.
+// <!-- repo-metadata:start usage --> ... <!-- repo-metadata:end usage -->
+const MARKER_PATTERN = /^<!--\s*repo-metadata:(start|end)\s+([\w-]+)\s*-->\s*$/;
+
+// Heading words that name the same section
+const SECTION_SYNONYMS = {
+  feature: "features",
+  highlights: "features",
+  install: "installation",
+  installing: "installation",
+  setup: "installation",
+  getting: "installation",
+  example: "usage",
+  examples: "usage",
+  contribute: "contributing",
+  contribution: "contributing",
+  contributions: "contributing",
+  licence: "license",
+  licensing: "license",
+};
+
+// Find the sections an existing README lacks, plus the generator-owned sections due for regeneration.
+// sections: the configured readme.sections, e.g. "Installation instructions".
+// Returns [{ key, title, description, block }], where block is the owned block to replace (or null to add).
+export function findReadmeTargets(text, sections) {
+  const { blocks, headings } = parseReadme(text);
+  const wanted = wantedSections(sections);
+
+  const targets = blocks.map((block) => {
+    const section = wanted.find((candidate) => candidate.key === block.key);
+    return {
+      key: block.key,
+      title: section?.title || capitalize(block.key),
+      description: section?.description || capitalize(block.key),
+      block,
+    };
+  });
+
+  for (const section of wanted) {
+    const present = blocks.some((block) => block.key === section.key) || headings.some((heading) => heading.key === section.key);
+    if (!present) {
+      targets.push({ ...section, block: null });
+    }
+  }
+  return targets;
+}
+
+// Splice generated sections into the README. Owned blocks are replaced in place, and missing
+// sections are inserted in the configured order; every byte outside the markers is kept.
+// generated: Markdown holding one "## Title" section per target.
+export function mergeReadmeSections(text, targets, generated, sections) {
+  const { blocks, headings } = parseReadme(text);
+  const wanted = wantedSections(sections);
+  const chunks = splitSections(generated);
+
+  // Sections the model didn't label as asked are matched by position
+  const unmatched = chunks.filter((chunk) => !targets.some((target) => target.key === chunk.key));
+  const contentFor = (target) => (chunks.find((chunk) => chunk.key === target.key) || unmatched.shift())?.content;
+
+  // Existing sections in document order, with their position in the configured order
+  const anchors = [...headings.filter((heading) => heading.level <= 2), ...blocks]
+    .map((anchor) => ({ offset: anchor.start, order: wanted.findIndex((section) => section.key === anchor.key) }))
+    .filter((anchor) => anchor.order !== -1)
+    .sort((a, b) => a.offset - b.offset);
+
+  const edits = [];
+  const appended = [];
+  for (const target of targets) {
+    const content = contentFor(target);
+    if (!content) continue;
+
+    if (target.block) {
+      edits.push({ start: target.block.start, end: target.block.end, text: wrapSection(target.key, content) });
+      continue;
+    }
+
+    const order = wanted.findIndex((section) => section.key === target.key);
+    const before = anchors.find((anchor) => anchor.order > order);
+    if (before) {
+      edits.push({ start: before.offset, end: before.offset, text: `${wrapSection(target.key, content)}\n` });
+    } else {
+      appended.push(wrapSection(target.key, content));
+    }
+  }
+
+  if (appended.length > 0) {
+    const separator = text === "" || text.endsWith("\n\n") ? "" : text.endsWith("\n") ? "\n" : "\n\n";
+    edits.push({ start: text.length, end: text.length, text: separator + appended.join("\n") });
+  }
+
+  // Apply from the end so earlier offsets stay valid; insertions at the same place keep their order
+  let result = text;
+  edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort((a, b) => b.start - a.start || b.index - a.index)
+    .forEach((edit) => {
+      result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    });
+  return result;
+}
+
+// Wrap every "## " section of a freshly generated README in markers, so later runs can regenerate them
+export function markReadmeSections(text) {
+  const { headings } = parseReadme(text);
+  const sections = headings.filter((heading) => heading.level === 2);
+  let result = text;
+  for (let i = sections.length - 1; i >= 0; i--) {
+    const start = sections[i].start;
+    const end = i + 1 < sections.length ? sections[i + 1].start : text.length;
+    const content = text.slice(start, end).replace(/\s+$/, "");
+    const trailing = i + 1 < sections.length ? "\n" : "";
+    result = result.slice(0, start) + wrapSection(sections[i].key, content) + trailing + result.slice(end);
+  }
+  return result;
+}
+
+// Headings and owned blocks of a README, ignoring anything inside fenced code blocks
+function parseReadme(text) {
+  const blocks = [];
+  const headings = [];
+  let fence = null;
+  let open = null;
+  let offset = 0;
+
+  for (const line of text.split(/(?<=\n)/)) {
+    const start = offset;
+    offset += line.length;
+    const trimmed = line.trimEnd();
+
+    const fenceMatch = /^\s*(```|~~~)/.exec(trimmed);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (trimmed.trim().startsWith(fence)) fence = null;
+      continue;
+    }
+    if (fence) continue;
+
+    const marker = MARKER_PATTERN.exec(trimmed);
+    if (marker) {
+      const [, kind, key] = marker;
+      if (kind === "start" && !open) {
+        open = { key, start };
+      } else if (kind === "end" && open?.key === key) {
+        blocks.push({ key, start: open.start, end: offset });
+        open = null;
+      }
+      continue;
+    }
+    if (open) continue;
+
+    const heading = /^(#{1,6})\s+(.+?)\s*#*$/.exec(trimmed);
+    if (heading) {
+      headings.push({ level: heading[1].length, title: heading[2], key: sectionKey(heading[2]), start });
+    }
+  }
+
+  return { blocks, headings };
+}
+
+// Configured sections the improve mode looks for; the title section is covered by any existing README
+function wantedSections(sections) {
+  return sections
+    .map((description) => ({ key: sectionKey(description), title: sectionTitle(description), description }))
+    .filter((section) => section.key && !/\btitle\b/i.test(section.description));
+}
+
+// "Installation instructions" and "🚀 Getting started" both become "installation"
+function sectionKey(title) {
+  const word = (title.toLowerCase().match(/[a-z]+/) || [""])[0];
+  return SECTION_SYNONYMS[word] || word;
+}
+
+function sectionTitle(description) {
+  return capitalize(sectionKey(description));
+}
+
+function splitSections(markdown) {
+  const { headings } = parseReadme(markdown);
+  const sections = headings.filter((heading) => heading.level === 2);
+  return sections.map((heading, index) => ({
+    key: heading.key,
+    content: markdown.slice(heading.start, index + 1 < sections.length ? sections[index + 1].start : markdown.length).trim(),
+  }));
+}
+
+function wrapSection(key, content) {
+  return `<!-- repo-metadata:start ${key} -->\n${content.trim()}\n<!-- repo-metadata:end ${key} -->\n`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
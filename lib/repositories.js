@@ -0,0 +1,75 @@
+// Sort orders for the repository browser
+export const REPO_SORTS = {
+  updated: { label: "recently updated", compare: (a, b) => new Date(b.updated_at) - new Date(a.updated_at) },
+  pushed: { label: "recently pushed", compare: (a, b) => new Date(b.pushed_at) - new Date(a.pushed_at) },
+  stars: { label: "most stars", compare: (a, b) => b.stargazers_count - a.stargazers_count },
+  name: { label: "name", compare: (a, b) => a.full_name.localeCompare(b.full_name) },
+};
+
+// Whether forks and archived repositories are shown alongside the others, hidden, or shown alone
+export const INCLUSION_FILTERS = ["include", "exclude", "only"];
+export const VISIBILITY_FILTERS = ["all", "public", "private"];
+
+// Fields the "missing metadata" filter can look for; README presence isn't part of the listing
+export const MISSING_FILTERS = ["any", "description", "website", "topics"];
+
+export const DEFAULT_FILTERS = {
+  forks: "include",
+  archived: "include",
+  visibility: "all",
+  language: null,
+  missing: null,
+  topic: null,
+};
+
+// Fields missing from the repository listing itself, without any extra API calls
+export function detectMissingMetadata(repo) {
+  const missing = [];
+  if (!repo.description || repo.description.trim() === "") {
+    missing.push("description");
+  }
+  if (!repo.homepage || repo.homepage.trim() === "") {
+    missing.push("website");
+  }
+  if (!repo.topics || repo.topics.length === 0) {
+    missing.push("topics");
+  }
+  return missing;
+}
+
+export function filterRepositories(repos, filters) {
+  const { forks, archived, visibility, language, missing, topic } = { ...DEFAULT_FILTERS, ...filters };
+  const inclusion = (mode, value) => mode === "include" || (mode === "only" ? value : !value);
+
+  return repos.filter((repo) => {
+    if (!inclusion(forks, repo.fork)) return false;
+    if (!inclusion(archived, repo.archived)) return false;
+    if (visibility !== "all" && (visibility === "private") !== repo.private) return false;
+    if (language && (repo.language || "").toLowerCase() !== language.toLowerCase()) return false;
+    if (topic && !(repo.topics || []).includes(topic)) return false;
+    if (missing) {
+      const gaps = detectMissingMetadata(repo);
+      if (missing === "any" ? gaps.length === 0 : !gaps.includes(missing)) return false;
+    }
+    return true;
+  });
+}
+
+export function sortRepositories(repos, sort) {
+  return [...repos].sort(REPO_SORTS[sort].compare);
+}
+
+// One-line summary of the active filters and sort order, e.g. "sorted by most stars · no forks · language: Go"
+export function describeFilters(filters, sort) {
+  const { forks, archived, visibility, language, missing, topic } = { ...DEFAULT_FILTERS, ...filters };
+  const parts = [`sorted by ${REPO_SORTS[sort].label}`];
+  if (forks === "exclude") parts.push("no forks");
+  if (forks === "only") parts.push("forks only");
+  if (archived === "exclude") parts.push("no archived");
+  if (archived === "only") parts.push("archived only");
+  if (visibility !== "all") parts.push(`${visibility} only`);
+  if (language) parts.push(`language: ${language}`);
+  if (missing) parts.push(missing === "any" ? "missing metadata" : `missing ${missing}`);
+  if (topic) parts.push(`topic: ${topic}`);
+  return parts.join(" · ");
+}
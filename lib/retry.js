@@ -0,0 +1,113 @@
+// Attempts after the first one, and the longest wait before giving up; a rate limit that resets
+// later than that fails the call (a batch can then be resumed with --resume)
+const MAX_RETRIES = 5;
+const MAX_WAIT_MS = 5 * 60 * 1000;
+
+// Backoff for server errors and dropped connections: 1s, 2s, 4s, ... with jitter
+const BASE_DELAY_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+// GitHub asks clients to wait at least a minute after a secondary rate limit without retry-after
+const SECONDARY_LIMIT_DELAY_MS = 60 * 1000;
+
+// Error codes of connections that failed on the way, as opposed to servers that aren't there
+const TRANSIENT_NETWORK_CODES = ["ECONNRESET", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"];
+
+// Call fn until it succeeds, waiting between attempts for errors that are worth retrying.
+// onRetry({ reason, delay, attempt, retries }) is called before each wait.
+// retryable(error): narrows down the errors that are retried, e.g. for calls that aren't safe to repeat
+export async function withRetry(fn, { retries = MAX_RETRIES, maxWait = MAX_WAIT_MS, onRetry = () => {}, retryable = () => true } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      const retry = retryable(error) ? retryAfter(error, attempt) : null;
+      if (!retry || attempt > retries || retry.delay > maxWait) {
+        throw error;
+      }
+      onRetry({ reason: retry.reason, delay: retry.delay, attempt, retries });
+      await new Promise((resolve) => setTimeout(resolve, retry.delay));
+    }
+  }
+}
+
+// GitHub's primary rate limit: { resetAt } when the error says it is used up, otherwise null
+export function rateLimitReset(error) {
+  const headers = responseHeaders(error);
+  if ((error.status === 403 || error.status === 429) && headers["x-ratelimit-remaining"] === "0" && headers["x-ratelimit-reset"]) {
+    return { resetAt: new Date(Number(headers["x-ratelimit-reset"]) * 1000) };
+  }
+  return null;
+}
+
+// Whether the error is a rate limit that says when to come back. The server turned such a request
+// away before acting on it, so even a write can be sent again.
+export function isAnnouncedRateLimit(error) {
+  const headers = responseHeaders(error);
+  return (error.status === 403 || error.status === 429) && Boolean(headers["retry-after"] || headers["x-ratelimit-reset"]);
+}
+
+// Whether the error is a rate limit of any kind (GitHub primary or secondary, or an LLM provider)
+export function isRateLimited(error) {
+  return Boolean(rateLimitReset(error)) || error.status === 429 || isSecondaryRateLimit(error);
+}
+
+// How long to wait before retrying, and why; null when retrying won't help
+function retryAfter(error, attempt) {
+  // Quotas and bad requests stay that way
+  if (error.code === "insufficient_quota") return null;
+
+  const reset = rateLimitReset(error);
+  if (reset) {
+    // A second of slack for clock differences
+    return { reason: "rate limit reached", delay: Math.max(0, reset.resetAt.getTime() - Date.now()) + 1000 };
+  }
+
+  const requested = requestedDelay(responseHeaders(error));
+  if (isRateLimited(error)) {
+    return {
+      reason: "rate limit reached",
+      delay: requested ?? (isSecondaryRateLimit(error) ? SECONDARY_LIMIT_DELAY_MS * attempt : backoff(attempt)),
+    };
+  }
+  if (error.status >= 500) {
+    return { reason: `server error ${error.status}`, delay: requested ?? backoff(attempt) };
+  }
+  if (isNetworkError(error)) {
+    return { reason: "connection failed", delay: backoff(attempt) };
+  }
+  return null;
+}
+
+function isSecondaryRateLimit(error) {
+  return error.status === 403 && /secondary rate limit|abuse/i.test(error.message);
+}
+
+function isNetworkError(error) {
+  const code = error.code || error.cause?.code;
+  return TRANSIENT_NETWORK_CODES.includes(code) || ["APIConnectionError", "APIConnectionTimeoutError"].includes(error.constructor?.name);
+}
+
+// retry-after-ms (OpenAI) or retry-after in seconds or as an HTTP date; null when absent
+function requestedDelay(headers) {
+  const milliseconds = Number(headers["retry-after-ms"]);
+  if (headers["retry-after-ms"] && !Number.isNaN(milliseconds)) return milliseconds;
+
+  const value = headers["retry-after"];
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoff(attempt) {
+  const delay = Math.min(MAX_BACKOFF_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(delay * (0.5 + Math.random() / 2));
+}
+
+// Octokit keeps headers on error.response, the LLM SDKs on error.headers
+export function responseHeaders(error) {
+  const headers = error.response?.headers || error.headers || {};
+  return typeof headers.get === "function" ? Object.fromEntries(headers.entries()) : headers;
+}
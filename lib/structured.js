@@ -0,0 +1,104 @@
+import { checkHomepage } from "./homepage.js";
+import { parseTopics } from "./topics.js";
+
+// How description, website, topics and README.md are generated: one request per field, or a single
+// request whose answer follows a JSON schema and holds all of them
+export const GENERATION_MODES = ["per-field", "combined"];
+
+// Fields a combined request can generate, with their key in the answer
+export const COMBINED_FIELDS = {
+  description: "description",
+  website: "homepage",
+  topics: "topics",
+  readme: "readme",
+};
+
+// JSON schema for an answer holding the given fields, every one of them required. Strict structured
+// outputs don't accept length or format keywords, so those limits are left to the prompt and
+// checked afterwards by checkCombinedAnswer.
+export function combinedSchema(fields) {
+  const properties = {
+    description: { type: "string" },
+    homepage: { type: "string", description: "An https URL, or an empty string when there is none" },
+    topics: { type: "array", items: { type: "string" } },
+    readme: { type: "string", description: "Markdown" },
+  };
+  const keys = fields.map((field) => COMBINED_FIELDS[field]);
+  return {
+    name: "repository_metadata",
+    schema: {
+      type: "object",
+      properties: Object.fromEntries(keys.map((key) => [key, properties[key]])),
+      required: keys,
+      additionalProperties: false,
+    },
+  };
+}
+
+// Parse a combined answer and check each field against GitHub's limits. What can be fixed without
+// the model is: quotes around the description, a URL wrapped in text, topics with capitals or
+// spaces. Returns { values, problems }: values by field for the fields that passed (website is null
+// when the model had no homepage to suggest), and why the others didn't.
+export function checkCombinedAnswer(text, fields, { fullName, forbidden = [], maxDescriptionLength }) {
+  let data;
+  try {
+    // Servers without structured outputs tend to fence the JSON
+    data = JSON.parse(/^\s*```(?:json)?\n([\s\S]*?)\n```\s*$/.exec(text)?.[1] ?? text);
+  } catch (error) {
+    return { values: {}, problems: [`the answer is not valid JSON (${error.message})`] };
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { values: {}, problems: ["the answer is not a JSON object"] };
+  }
+
+  const values = {};
+  const problems = [];
+  for (const field of fields) {
+    const key = COMBINED_FIELDS[field];
+    const value = data[key];
+    const expected = field === "topics" ? "a list of strings" : "a string";
+    const valid = field === "topics" ? Array.isArray(value) && value.every((item) => typeof item === "string") : typeof value === "string";
+    if (!valid) {
+      problems.push(`${key} ${value === undefined ? "is missing" : `must be ${expected}`}`);
+      continue;
+    }
+
+    const checked = checkField(field, value, { fullName, forbidden, maxDescriptionLength });
+    if (checked.reason) {
+      problems.push(`${key} ${checked.reason}`);
+    } else {
+      values[field] = checked.value;
+    }
+  }
+  return { values, problems };
+}
+
+// The repaired value of one field, or the reason it can't be used
+function checkField(field, value, { fullName, forbidden, maxDescriptionLength }) {
+  switch (field) {
+    case "description": {
+      const description = value.trim().replace(/^(["'])(.*)\1$/s, "$2").trim();
+      if (!description) return { reason: "is empty" };
+      if (description.length > maxDescriptionLength) {
+        return { reason: `is ${description.length} characters long; the limit is ${maxDescriptionLength}` };
+      }
+      return { value: description };
+    }
+
+    case "website": {
+      if (!value.trim()) return { value: null };
+      const url = (/https?:\/\/[^\s"'<>()\]]+/.exec(value)?.[0] || value.trim()).replace(/[.,;:]+$/, "");
+      const problem = checkHomepage(url, fullName);
+      return problem ? { reason: `is unusable: ${problem}` } : { value: url };
+    }
+
+    case "topics": {
+      // Topics that can't be made valid are dropped; the list only fails when none are left
+      const topics = parseTopics(value.join(","), { forbidden });
+      return topics.length > 0 ? { value: topics } : { reason: "has no valid topics (lowercase letters, numbers and hyphens)" };
+    }
+
+    case "readme":
+      return value.trim() ? { value: value.trim() } : { reason: "is empty" };
+  }
+}
@@ -0,0 +1,122 @@
+// GitHub's rules for repository topics
+export const TOPIC_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+export const MAX_TOPIC_LENGTH = 35;
+export const MAX_TOPICS = 20;
+
+// How generated topics combine with the ones a repository already has:
+// merge keeps the existing topics and fills up to topics.count, append adds every generated topic
+// (up to GitHub's limit), replace swaps them out except for locked topics
+export const TOPIC_STRATEGIES = ["merge", "append", "replace"];
+
+// Spellings that GitHub users treat as the same topic, mapped to the most common one
+const SYNONYMS = {
+  js: "javascript",
+  ts: "typescript",
+  py: "python",
+  python3: "python",
+  golang: "go",
+  rustlang: "rust",
+  node: "nodejs",
+  "node-js": "nodejs",
+  reactjs: "react",
+  "react-js": "react",
+  vuejs: "vue",
+  "vue-js": "vue",
+  k8s: "kubernetes",
+  postgres: "postgresql",
+  "command-line": "cli",
+  "command-line-tool": "cli",
+  "cli-tool": "cli",
+  ml: "machine-learning",
+  "github-api": "github",
+};
+
+// Symbols that carry meaning in language names
+const SPELLED_OUT = [
+  [/c\+\+/g, "cpp"],
+  [/c#/g, "csharp"],
+  [/f#/g, "fsharp"],
+  [/\.net/g, "dotnet"],
+  [/node\.js/g, "nodejs"],
+];
+
+// Turn free text ("#Node.js", "Machine Learning") into a GitHub topic; returns null when nothing valid is left
+export function normalizeTopic(text) {
+  let topic = String(text).trim().toLowerCase().replace(/^#+/, "");
+  for (const [pattern, replacement] of SPELLED_OUT) {
+    topic = topic.replace(pattern, replacement);
+  }
+  topic = topic
+    .replace(/[\s_./]+/g, "-")
+    .replace(/[^a-z0-9-]/g, "")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-+|-+$/g, "");
+  topic = SYNONYMS[topic] || topic;
+
+  return validateTopic(topic) ? null : topic;
+}
+
+// Why a topic would be rejected by GitHub, or null when it is valid
+export function validateTopic(topic) {
+  if (!topic) return "is empty";
+  if (topic.length > MAX_TOPIC_LENGTH) return `is longer than ${MAX_TOPIC_LENGTH} characters`;
+  if (!TOPIC_PATTERN.test(topic)) return "may only contain lowercase letters, numbers and hyphens, and must start with a letter or number";
+  return null;
+}
+
+// Check a full topic list against GitHub's rules; returns a list of problems (empty when valid)
+export function validateTopics(topics) {
+  const problems = topics
+    .map((topic) => ({ topic, reason: validateTopic(topic) }))
+    .filter((problem) => problem.reason)
+    .map((problem) => `"${problem.topic}" ${problem.reason}`);
+  if (topics.length > MAX_TOPICS) {
+    problems.push(`${topics.length} topics given; GitHub allows at most ${MAX_TOPICS}`);
+  }
+  return problems;
+}
+
+// Normalize model output into unique topics, dropping synonyms of topics already listed
+export function parseTopics(text, { forbidden = [] } = {}) {
+  const topics = [];
+  for (const part of text.split(/[,\n]/)) {
+    const topic = normalizeTopic(part.replace(/^\s*(?:[-*]|\d+\.)\s+/, ""));
+    if (topic && !forbidden.includes(topic) && !hasSynonym(topics, topic)) {
+      topics.push(topic);
+    }
+  }
+  return topics;
+}
+
+// Combine generated topics with the existing ones using a strategy. Locked topics are never removed
+// and required topics are always added; neither counts against the generated topics' share.
+export function mergeTopics(existing, generated, { strategy = "merge", count = 10, required = [], locked = [] } = {}) {
+  const isLocked = (topic) => locked.includes(topic);
+  const pinned =
+    strategy === "replace"
+      ? [...existing.filter(isLocked), ...required]
+      : [...existing.filter(isLocked), ...required, ...existing.filter((topic) => !isLocked(topic))];
+
+  const result = [];
+  for (const topic of pinned) {
+    if (!result.includes(topic)) result.push(topic);
+  }
+
+  const limit = strategy === "append" ? MAX_TOPICS : count;
+  for (const topic of generated) {
+    if (result.length >= limit) break;
+    if (!hasSynonym(result, topic)) result.push(topic);
+  }
+  return result.slice(0, MAX_TOPICS);
+}
+
+function hasSynonym(topics, topic) {
+  const key = topicKey(topic);
+  return topics.some((other) => topicKey(other) === key);
+}
+
+// Compare topics by their canonical, singular spelling ("tools" matches "tool", "golang" matches "go")
+function topicKey(topic) {
+  const canonical = SYNONYMS[topic] || topic;
+  return canonical.length > 3 && canonical.endsWith("s") && !canonical.endsWith("ss") ? canonical.slice(0, -1) : canonical;
+}
@@ -0,0 +1,126 @@
+import { dirname } from "node:path";
+
+// Marks the language switcher line, so regenerating replaces it instead of adding another
+const SWITCHER_MARKER = "<!-- repo-metadata:languages -->";
+
+// Chinese is named by script, which is what readers pick between
+const NAME_TAGS = { "zh-CN": "zh-Hans", "zh-SG": "zh-Hans", "zh-TW": "zh-Hant", "zh-HK": "zh-Hant" };
+
+// Parts of a README that stay as they are in every language, in the order they are taken out. Links
+// keep their text, which is translated, and lose their target.
+const PROTECTED = [
+  /<!--[\s\S]*?-->/g,
+  /`[^`\n]+`/g,
+  /\[!\[[^\]]*\]\([^)\s]*\)\]\([^)\s]*\)/g,
+  /!\[[^\]]*\]\([^)\s]*\)/g,
+  /^ {0,3}\[[^\]]+\]:\s*\S+.*$/gm,
+  /<https?:\/\/[^>\s]+>/g,
+  /https?:\/\/[^\s)<>\]]+/g,
+  /<\/?[a-zA-Z][^>]*>/g,
+];
+
+// Why a language tag can't be used (e.g. "zh-CN", "ja"), or null when it can
+export function validateLanguage(code) {
+  try {
+    if (Intl.getCanonicalLocales(code).length !== 1) return "is not a language tag";
+  } catch (error) {
+    return "is not a language tag such as ja or zh-CN";
+  }
+  if (/^en\b/i.test(code)) return "is the language of README.md";
+  return null;
+}
+
+// The language's name in English, for the prompt, and in the language itself, for the switcher
+export function languageNames(code) {
+  const tag = NAME_TAGS[code] || code;
+  const native = new Intl.DisplayNames([tag], { type: "language" }).of(tag);
+  return {
+    english: new Intl.DisplayNames(["en"], { type: "language" }).of(tag),
+    native: native.charAt(0).toLocaleUpperCase(tag) + native.slice(1),
+  };
+}
+
+// Where the translation into a language goes: README.ja.md next to the README
+export function translationPath(readmePath, code) {
+  const dir = dirname(readmePath);
+  return `${dir === "." ? "" : `${dir}/`}README.${code}.md`;
+}
+
+// Swap the untranslatable parts of a README for numbered placeholders like ⟦0⟧.
+// Returns { text, tokens }, where tokens[n] is what ⟦n⟧ stands for.
+export function protectMarkdown(markdown) {
+  const tokens = [];
+  const keep = (part) => `⟦${tokens.push(part) - 1}⟧`;
+
+  // Fenced code blocks first, whole, so nothing inside them is touched
+  let text = "";
+  let fence = null;
+  let block = "";
+  for (const line of markdown.split(/(?<=\n)/)) {
+    const marker = /^\s*(```|~~~)/.exec(line)?.[1];
+    if (fence) {
+      block += line;
+      if (line.trim().startsWith(fence)) {
+        text += keep(block.replace(/\n$/, "")) + (block.endsWith("\n") ? "\n" : "");
+        fence = null;
+      }
+    } else if (marker) {
+      fence = marker;
+      block = line;
+    } else {
+      text += line;
+    }
+  }
+  if (fence) text += keep(block);
+
+  // Link targets, keeping the link text
+  text = text.replace(/(?<!!)\[([^\]]+)\]\(([^)\s]+(?:\s+"[^"]*")?)\)/g, (match, label, target) =>
+    label.startsWith("!") ? match : `[${label}](${keep(target)})`
+  );
+  for (const pattern of PROTECTED) {
+    text = text.replace(pattern, (part) => keep(part));
+  }
+  return { text, tokens };
+}
+
+// Put the protected parts back into a translation. Returns { text, missing }: missing lists the
+// placeholders the translation lost.
+export function restoreMarkdown(translated, tokens) {
+  const found = new Set();
+  // Placeholders can hold others (a badge inside a link), so restore until none are left
+  let text = translated;
+  for (let pass = 0; pass < 5 && /⟦\d+⟧/.test(text); pass++) {
+    text = text.replace(/⟦(\d+)⟧/g, (match, index) => {
+      if (tokens[index] === undefined) return match;
+      found.add(Number(index));
+      return tokens[index];
+    });
+  }
+  const missing = tokens.map((_, index) => index).filter((index) => !found.has(index));
+  return { text, missing };
+}
+
+// The switcher line for one variant of the README: every language linked by file name, the
+// current one in bold. variants: [{ name, path }] with English first; current: the path of this one.
+export function languageSwitcher(variants, current) {
+  const links = variants.map((variant) =>
+    variant.path === current ? `**${variant.name}**` : `[${variant.name}](${variant.path.split("/").pop()})`
+  );
+  return `${links.join(" | ")} ${SWITCHER_MARKER}`;
+}
+
+// The README with its switcher line replaced, or put at the top when it has none
+export function setLanguageSwitcher(text, line) {
+  const lines = text.split("\n");
+  const index = lines.findIndex((candidate) => candidate.includes(SWITCHER_MARKER));
+  if (index !== -1) {
+    lines[index] = line;
+    return lines.join("\n");
+  }
+  return `${line}\n\n${text}`;
+}
+
+// The README without its switcher line, which is what gets translated
+export function removeLanguageSwitcher(text) {
+  return text.replace(new RegExp(`^.*${SWITCHER_MARKER}.*\\n(?:[ \\t]*\\n)?`, "m"), "");
+}
@@ -0,0 +1,95 @@
+// Prices in US dollars per million tokens, as listed by the providers. Models missing here (or
+// priced differently, e.g. on Azure) can be added under usage.prices in the config.
+export const DEFAULT_PRICES = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "claude-3-5-haiku-latest": { input: 0.8, output: 4 },
+  "claude-3-5-sonnet-latest": { input: 3, output: 15 },
+  "claude-3-7-sonnet-latest": { input: 3, output: 15 },
+  mock: { input: 0, output: 0 },
+};
+
+// Thrown before a request once the run's budget is spent
+export class BudgetExceededError extends Error {}
+
+// Count the tokens of a run's LLM requests by repository and field, and price them.
+// maxCost (US dollars) and maxTokens (prompt and completion together) are the run's budget: check()
+// throws once either is reached, so no further request is made. prices are added to DEFAULT_PRICES.
+export function createUsageTracker({ maxCost = null, maxTokens = null, prices = {} } = {}) {
+  const table = { ...DEFAULT_PRICES, ...prices };
+  // { repository, field, model, promptTokens, completionTokens }
+  const requests = [];
+
+  const priceOf = (model) => table[model] ?? null;
+
+  // { requests, promptTokens, completionTokens, cost, unpriced }: cost only adds up the models with
+  // a price; unpriced lists the others
+  const total = (entries) => {
+    const summary = { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpriced: [] };
+    for (const entry of entries) {
+      const price = priceOf(entry.model);
+      summary.requests += entry.requests ?? 1;
+      summary.promptTokens += entry.promptTokens;
+      summary.completionTokens += entry.completionTokens;
+      if (price) {
+        summary.cost += (entry.promptTokens * price.input + entry.completionTokens * price.output) / 1e6;
+      } else if (!summary.unpriced.includes(entry.model)) {
+        summary.unpriced.push(entry.model);
+      }
+    }
+    return summary;
+  };
+
+  return {
+    maxCost,
+    maxTokens,
+    // Throw a BudgetExceededError when the budget is spent. With a cost cap, a model without a price
+    // is refused too, since its requests couldn't be counted against the cap.
+    check(model = null) {
+      const spent = total(requests);
+      const tokens = spent.promptTokens + spent.completionTokens;
+      if (maxTokens !== null && tokens >= maxTokens) {
+        throw new BudgetExceededError(`Token budget reached: ${formatTokens(tokens)} of ${formatTokens(maxTokens)} tokens used`);
+      }
+      if (maxCost === null) return;
+      if (spent.cost >= maxCost) {
+        throw new BudgetExceededError(`Cost cap reached: ${formatCost(spent.cost)} of ${formatCost(maxCost)} spent`);
+      }
+      if (model && !priceOf(model)) {
+        throw new BudgetExceededError(`The cost cap can't be kept: "${model}" has no price; add it under usage.prices`);
+      }
+    },
+    record({ repository = null, field, model, promptTokens = 0, completionTokens = 0 }) {
+      requests.push({ repository, field, model, promptTokens, completionTokens });
+    },
+    // Totals of the recorded requests that match filter
+    summarize(filter = () => true) {
+      return total(requests.filter(filter));
+    },
+    // Totals per value of key ("field" or "repository"), in the order they were first used
+    groupBy(key, filter = () => true) {
+      const groups = new Map();
+      for (const entry of requests.filter(filter)) {
+        groups.set(entry[key], [...(groups.get(entry[key]) || []), entry]);
+      }
+      return [...groups].map(([name, entries]) => ({ [key]: name, ...total(entries) }));
+    },
+    // Totals of planned requests: [{ model, requests, promptTokens, completionTokens }]
+    estimate(planned) {
+      return total(planned);
+    },
+  };
+}
+
+export function formatTokens(count) {
+  return Math.round(count).toLocaleString("en-US");
+}
+
+// Cents are too coarse for the cost of a run on a small model
+export function formatCost(usd) {
+  if (usd > 0 && usd < 0.0001) return "<$0.0001";
+  return `$${usd > 0 && usd < 0.01 ? usd.toFixed(4) : usd.toFixed(2)}`;
+}
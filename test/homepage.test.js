@@ -0,0 +1,129 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { checkHomepage, detectHomepage, urlResolves } from "../lib/homepage.js";
+
+// A local stand-in for a homepage: /ok answers, /moved redirects to /ok, /missing is a 404 and
+// /hang never answers
+function startStub() {
+  const server = createServer((request, response) => {
+    switch (request.url) {
+      case "/ok":
+        response.writeHead(200).end("ok");
+        break;
+      case "/moved":
+        response.writeHead(301, { location: "/ok" }).end();
+        break;
+      case "/head-not-allowed":
+        response.writeHead(request.method === "HEAD" ? 405 : 200).end();
+        break;
+      case "/hang":
+        break;
+      default:
+        response.writeHead(404).end();
+    }
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+// A repository context serving files from an object
+function fakeContext(files, { fullName = "me/demo", pagesUrl = null } = {}) {
+  return {
+    fullName,
+    readFile: async (path) => files[path] ?? null,
+    getPagesUrl: async () => pagesUrl,
+  };
+}
+
+describe("urlResolves", () => {
+  let server;
+  let base;
+
+  before(async () => {
+    server = await startStub();
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  it("accepts a URL that answers", async () => {
+    assert.equal(await urlResolves(`${base}/ok`), true);
+  });
+
+  it("rejects a 404", async () => {
+    assert.equal(await urlResolves(`${base}/missing`), false);
+  });
+
+  it("follows redirects", async () => {
+    assert.equal(await urlResolves(`${base}/moved`), true);
+  });
+
+  it("falls back to GET when HEAD isn't allowed", async () => {
+    assert.equal(await urlResolves(`${base}/head-not-allowed`), true);
+  });
+
+  it("gives up on a server that doesn't answer in time", async () => {
+    const started = Date.now();
+    assert.equal(await urlResolves(`${base}/hang`, { timeout: 200 }), false);
+    assert.ok(Date.now() - started < 2000);
+  });
+});
+
+describe("detectHomepage", () => {
+  it("prefers package.json over a CNAME file and GitHub Pages", async () => {
+    const context = fakeContext(
+      { "package.json": JSON.stringify({ homepage: "https://demo.dev" }), CNAME: "docs.demo.dev\n" },
+      { pagesUrl: "https://me.github.io/demo/" },
+    );
+    assert.deepEqual(await detectHomepage(context), { url: "https://demo.dev", source: "package.json homepage" });
+  });
+
+  it("reads pyproject.toml and Cargo.toml", async () => {
+    const python = fakeContext({ "pyproject.toml": '[project.urls]\nDocumentation = "https://demo.readthedocs.io"\n' });
+    assert.deepEqual(await detectHomepage(python), {
+      url: "https://demo.readthedocs.io",
+      source: "pyproject.toml project.urls",
+    });
+
+    const rust = fakeContext({ "Cargo.toml": '[package]\nname = "demo"\nhomepage = "https://demo.rs"\n' });
+    assert.deepEqual(await detectHomepage(rust), { url: "https://demo.rs", source: "Cargo.toml [package]" });
+  });
+
+  it("skips links back to the repository and unparsable manifests", async () => {
+    const context = fakeContext(
+      {
+        "package.json": JSON.stringify({ homepage: "https://github.com/me/demo#readme" }),
+        "pyproject.toml": "[project.urls\n",
+        "docs/CNAME": "demo.dev",
+      },
+      { pagesUrl: "https://me.github.io/demo/" },
+    );
+    assert.deepEqual(await detectHomepage(context), { url: "https://demo.dev", source: "docs/CNAME" });
+  });
+
+  it("falls back to GitHub Pages, then to nothing", async () => {
+    const pages = fakeContext({}, { pagesUrl: "https://me.github.io/demo/" });
+    assert.deepEqual(await detectHomepage(pages), { url: "https://me.github.io/demo/", source: "GitHub Pages" });
+    assert.equal(await detectHomepage(fakeContext({})), null);
+  });
+
+  it("drops candidates that don't resolve when verifying", async () => {
+    // .invalid never resolves (RFC 2606), so nothing is left
+    const context = fakeContext({ "package.json": JSON.stringify({ homepage: "https://demo.invalid" }) });
+    assert.deepEqual(await detectHomepage(context), { url: "https://demo.invalid", source: "package.json homepage" });
+    assert.equal(await detectHomepage(context, { verify: true }), null);
+  });
+});
+
+describe("checkHomepage", () => {
+  it("only accepts https URLs with a domain that aren't the repository itself", () => {
+    assert.equal(checkHomepage("https://demo.dev", "me/demo"), null);
+    assert.match(checkHomepage("http://demo.dev", "me/demo"), /not an https URL/);
+    assert.match(checkHomepage("https://localhost", "me/demo"), /no domain name/);
+    assert.match(checkHomepage("https://github.com/me/demo/", "me/demo"), /points back to the repository/);
+    assert.match(checkHomepage("demo", "me/demo"), /not a valid URL/);
+  });
+});
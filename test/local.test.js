@@ -0,0 +1,87 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+const run = promisify(execFile);
+const entry = fileURLToPath(new URL("../index.js", import.meta.url));
+
+// A committed working copy with a package.json and no README
+async function createWorkingCopy(root) {
+  const dir = join(root, "demo");
+  await run("git", ["init", "-q", dir]);
+  await writeFile(join(dir, "package.json"), `${JSON.stringify({ name: "demo", version: "1.0.0" }, null, 2)}\n`);
+  await writeFile(join(dir, "index.js"), 'console.log("demo");\n');
+  await run("git", ["add", "-A"], { cwd: dir });
+  await run("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", "commit", "-qm", "init"], { cwd: dir });
+  return dir;
+}
+
+// Run the tool on a working copy with the mock provider: no GitHub token, no API key, no network.
+// Returns the parsed --json result and the exit code.
+async function runLocal(root, dir, args) {
+  const env = {
+    ...process.env,
+    LLM_PROVIDER: "mock",
+    GITHUB_TOKEN: "",
+    OPENAI_API_KEY: "",
+    ANTHROPIC_API_KEY: "",
+    XDG_CACHE_HOME: join(root, "cache"),
+    XDG_STATE_HOME: join(root, "state"),
+  };
+  try {
+    const { stdout } = await run(process.execPath, [entry, "--no-cache", "--local", dir, "--json", ...args], {
+      cwd: root,
+      env,
+      timeout: 60000,
+    });
+    return { result: JSON.parse(stdout), code: 0 };
+  } catch (error) {
+    if (!error.stdout) throw error;
+    return { result: JSON.parse(error.stdout), code: error.code };
+  }
+}
+
+describe("--local with the mock provider", () => {
+  let root;
+
+  before(async () => {
+    root = await mkdtemp(join(tmpdir(), "repo-metadata-test-"));
+  });
+
+  after(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it("generates values without writing anything unless --yes is given", async () => {
+    const dir = await createWorkingCopy(join(root, "plan"));
+    const { result, code } = await runLocal(root, dir, ["--fields", "description,readme"]);
+
+    assert.equal(code, 2);
+    assert.equal(result.status, "nothing-to-do");
+    assert.match(result.generated.description, /^Mock description for demo \([0-9a-f]{8}\)$/);
+    assert.match(result.generated.readme, /^# demo\n/);
+    assert.deepEqual(result.written, []);
+    await assert.rejects(readFile(join(dir, "README.md")));
+  });
+
+  it("writes the generated README and manifest fields with --yes", async () => {
+    const dir = await createWorkingCopy(join(root, "apply"));
+    const { result, code } = await runLocal(root, dir, ["--fields", "description,topics,readme", "--yes"]);
+
+    assert.equal(code, 0);
+    assert.equal(result.status, "applied");
+    assert.deepEqual(result.applied, ["description", "topics", "readme"]);
+    assert.deepEqual(result.written.sort(), ["README.md", "package.json"]);
+    assert.equal(result.usage.cost, 0);
+
+    assert.equal(await readFile(join(dir, "README.md"), "utf8"), result.generated.readme);
+    const manifest = JSON.parse(await readFile(join(dir, "package.json"), "utf8"));
+    assert.equal(manifest.description, result.generated.description);
+    assert.deepEqual(manifest.keywords, result.generated.topics);
+  });
+});